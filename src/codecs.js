@@ -0,0 +1,100 @@
+import path from 'path';
+import { parseYaml, stringifyYaml } from './yaml.js';
+import { decodeMsgpack, encodeMsgpack } from './msgpack.js';
+
+const toText = content =>
+  Buffer.isBuffer(content) ? content.toString('utf-8') : String(content);
+
+const isPlainObject = value =>
+  typeof value === 'object' && value !== null && !Array.isArray(value);
+
+const codecs = new Map();
+
+export function registerCodec(name, codec) {
+  if (
+    !codec ||
+    typeof codec.encode !== 'function' ||
+    typeof codec.decode !== 'function'
+  ) {
+    throw new TypeError(
+      `Codec "${name}" must implement encode(value) and decode(content)`
+    );
+  }
+  codecs.set(name, {
+    binary: false,
+    extensions: [],
+    ...codec,
+    name,
+  });
+}
+
+export function getCodec(name) {
+  return codecs.get(name) || null;
+}
+
+export function getCodecNames() {
+  return [...codecs.keys()];
+}
+
+export function detectFileType(filePath) {
+  const extension = path.extname(filePath).toLowerCase();
+  for (const codec of codecs.values()) {
+    if (codec.extensions.includes(extension)) {
+      return codec.name;
+    }
+  }
+  return null;
+}
+
+registerCodec('json', {
+  extensions: ['.json'],
+  encode: (value, { spaces } = {}) => JSON.stringify(value, null, spaces),
+  decode: content => JSON.parse(toText(content)),
+});
+
+registerCodec('yaml', {
+  extensions: ['.yaml', '.yml'],
+  encode: value => stringifyYaml(value),
+  decode: content => parseYaml(toText(content)),
+});
+
+registerCodec('ndjson', {
+  extensions: ['.ndjson', '.jsonl'],
+  encode: value => {
+    if (!isPlainObject(value) || !isPlainObject(value.state)) {
+      return `${JSON.stringify(value)}\n`;
+    }
+
+    const { state, ...header } = value;
+    const lines = [
+      JSON.stringify({ ...header, entries: Object.keys(state).length }),
+      ...Object.keys(state).map(key => JSON.stringify([key, state[key]])),
+    ];
+    return `${lines.join('\n')}\n`;
+  },
+  decode: content => {
+    const [header, ...lines] = toText(content)
+      .split('\n')
+      .filter(line => line.trim() !== '')
+      .map(line => JSON.parse(line));
+
+    if (!isPlainObject(header) || !Number.isInteger(header.entries)) {
+      return header;
+    }
+
+    const { entries, ...rest } = header;
+    if (lines.length !== entries) {
+      throw new SyntaxError(
+        `NDJSON: expected ${entries} entries but found ${lines.length}`
+      );
+    }
+    return { ...rest, state: Object.fromEntries(lines) };
+  },
+});
+
+registerCodec('msgpack', {
+  binary: true,
+  extensions: ['.msgpack', '.mpk', '.bin'],
+  encode: value => encodeMsgpack(value),
+  decode: content => decodeMsgpack(content),
+});
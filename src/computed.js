@@ -0,0 +1,67 @@
+class ComputedProperty {
+  constructor(name, fn) {
+    this.name = name;
+    this.fn = fn;
+    this.dependencies = new Map();
+    this.dependsOnAllKeys = false;
+    this.sourceState = null;
+    this.value = undefined;
+    this.evaluated = false;
+  }
+
+  isStale(state) {
+    if (!this.evaluated) {
+      return true;
+    }
+    if (this.dependsOnAllKeys) {
+      return state !== this.sourceState;
+    }
+    for (const [key, value] of this.dependencies) {
+      if (!Object.is(state[key], value)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  evaluate(state, resolveComputed) {
+    const dependencies = new Map();
+    let dependsOnAllKeys = false;
+
+    const tracked = new Proxy(state, {
+      get(target, key, receiver) {
+        if (typeof key !== 'string') {
+          return Reflect.get(target, key, receiver);
+        }
+        const computedValue = resolveComputed(key, dependencies);
+        if (computedValue !== undefined) {
+          return computedValue.value;
+        }
+        dependencies.set(key, target[key]);
+        return target[key];
+      },
+      has(target, key) {
+        if (typeof key === 'string') {
+          dependencies.set(key, target[key]);
+        }
+        return Reflect.has(target, key);
+      },
+      ownKeys(target) {
+        dependsOnAllKeys = true;
+        return Reflect.ownKeys(target);
+      },
+    });
+
+    try {
+      this.value = this.fn(tracked);
+    } finally {
+      this.dependencies = dependencies;
+      this.dependsOnAllKeys = dependsOnAllKeys;
+      this.sourceState = state;
+      this.evaluated = true;
+    }
+    return this.value;
+  }
+}
+
+export default ComputedProperty;
@@ -0,0 +1,451 @@
+import { deepEqual } from './selectors.js';
+import {
+  formatPath,
+  getIn,
+  isPlainObject,
+  parsePath,
+  removeIn,
+  setIn,
+} from './pathUtils.js';
+import { cloneDeep, serialize } from './serializer.js';
+
+const BASELINE_REPLICA = '';
+
+const createReplicaId = () =>
+  `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+export function compareStamps(a, b) {
+  if (a.counter !== b.counter) {
+    return a.counter - b.counter;
+  }
+  if (a.replica === b.replica) {
+    return 0;
+  }
+  return a.replica < b.replica ? -1 : 1;
+}
+
+const stampOf = operation => ({
+  counter: operation.counter,
+  replica: operation.replica,
+});
+
+const pathKey = segments => JSON.stringify(segments);
+
+const elementKey = value => serialize(value);
+
+const toElements = value => {
+  if (value instanceof Set) {
+    return [...value];
+  }
+  return Array.isArray(value) ? value : [];
+};
+
+class CrdtDocument {
+  constructor(initialState = {}, options = {}) {
+    this.replicaId = options.replicaId || createReplicaId();
+    this.types = new Map(
+      Object.entries(options.types || {}).map(([path, type]) => [
+        formatPath(parsePath(path)),
+        type,
+      ])
+    );
+    this.types.forEach((type, path) => {
+      if (type !== 'set' && type !== 'sequence') {
+        throw new TypeError(
+          `CRDT type for "${path}" must be "set" or "sequence"`
+        );
+      }
+    });
+
+    this.clock = 0;
+    this.registers = new Map();
+    this.sets = new Map();
+    this.sequences = new Map();
+    this.applied = new Set();
+    this.log = [];
+    this.pending = [];
+    this.loadBaseline(initialState);
+  }
+
+  loadBaseline(state) {
+    this.flatten(state).forEach(({ path, value }) => {
+      this.registers.set(pathKey(path), {
+        path,
+        stamp: { counter: 0, replica: BASELINE_REPLICA },
+        value: cloneDeep(value),
+        deleted: false,
+      });
+    });
+
+    this.types.forEach((type, path) => {
+      const value = getIn(state, path);
+      if (value === undefined) {
+        return;
+      }
+
+      const elements = toElements(value);
+      if (type === 'set') {
+        const set = this.getSet(path);
+        set.array = Array.isArray(value);
+        elements.forEach(element => {
+          const key = elementKey(element);
+          set.elements.set(key, {
+            value: cloneDeep(element),
+            tags: new Set([`0@${key}`]),
+          });
+        });
+        return;
+      }
+
+      const sequence = this.getSequence(path);
+      let after = null;
+      elements.forEach((element, index) => {
+        const id = `0@#${index}`;
+        this.insertNode(sequence, {
+          id,
+          counter: 0,
+          replica: `#${index}`,
+          after,
+          value: cloneDeep(element),
+        });
+        after = id;
+      });
+    });
+  }
+
+  getType(segments) {
+    return this.types.get(formatPath(segments)) || null;
+  }
+
+  flatten(value, path = [], leaves = []) {
+    if (path.length > 0 && this.getType(path)) {
+      return leaves;
+    }
+    if (
+      isPlainObject(value) &&
+      (path.length === 0 || Object.keys(value).length > 0)
+    ) {
+      Object.keys(value).forEach(key => {
+        this.flatten(value[key], [...path, key], leaves);
+      });
+      return leaves;
+    }
+    leaves.push({ path, value });
+    return leaves;
+  }
+
+  getSet(path) {
+    if (!this.sets.has(path)) {
+      this.sets.set(path, {
+        elements: new Map(),
+        removed: new Set(),
+        array: false,
+      });
+    }
+    return this.sets.get(path);
+  }
+
+  getSequence(path) {
+    if (!this.sequences.has(path)) {
+      this.sequences.set(path, {
+        nodes: new Map(),
+        roots: [],
+        waiting: new Map(),
+        erased: new Set(),
+      });
+    }
+    return this.sequences.get(path);
+  }
+
+  createOperation(fields) {
+    this.clock += 1;
+    const operation = {
+      id: `${this.clock}@${this.replicaId}`,
+      counter: this.clock,
+      replica: this.replicaId,
+      ...fields,
+    };
+    this.applyOperation(operation);
+    this.pending.push(operation);
+    return operation;
+  }
+
+  applyOperation(operation) {
+    if (!operation || this.applied.has(operation.id)) {
+      return false;
+    }
+
+    this.clock = Math.max(this.clock, operation.counter);
+    this.applied.add(operation.id);
+    this.log.push(operation);
+
+    if (operation.op === 'set' || operation.op === 'delete') {
+      this.applyRegister(operation);
+    } else if (operation.op === 'add' || operation.op === 'remove') {
+      this.applySetOperation(operation);
+    } else if (operation.op === 'insert' || operation.op === 'erase') {
+      this.applySequenceOperation(operation);
+    }
+    return true;
+  }
+
+  applyRegister(operation) {
+    const key = pathKey(operation.path);
+    const current = this.registers.get(key);
+    const stamp = stampOf(operation);
+    if (current && compareStamps(stamp, current.stamp) <= 0) {
+      return;
+    }
+    this.registers.set(key, {
+      path: operation.path,
+      stamp,
+      value: operation.value,
+      deleted: operation.op === 'delete',
+    });
+  }
+
+  applySetOperation(operation) {
+    const set = this.getSet(formatPath(operation.path));
+    const key = elementKey(operation.element);
+
+    if (operation.op === 'add') {
+      if (set.removed.has(operation.id)) {
+        return;
+      }
+      const entry = set.elements.get(key) || {
+        value: operation.element,
+        tags: new Set(),
+      };
+      entry.tags.add(operation.id);
+      set.elements.set(key, entry);
+      return;
+    }
+
+    const entry = set.elements.get(key);
+    operation.tags.forEach(tag => {
+      set.removed.add(tag);
+      if (entry) {
+        entry.tags.delete(tag);
+      }
+    });
+    if (entry && entry.tags.size === 0) {
+      set.elements.delete(key);
+    }
+  }
+
+  applySequenceOperation(operation) {
+    const sequence = this.getSequence(formatPath(operation.path));
+
+    if (operation.op === 'erase') {
+      const node = sequence.nodes.get(operation.target);
+      if (node) {
+        node.deleted = true;
+      } else {
+        sequence.erased.add(operation.target);
+      }
+      return;
+    }
+
+    if (operation.after && !sequence.nodes.has(operation.after)) {
+      const waiting = sequence.waiting.get(operation.after) || [];
+      waiting.push(operation);
+      sequence.waiting.set(operation.after, waiting);
+      return;
+    }
+    this.insertNode(sequence, operation);
+  }
+
+  insertNode(sequence, operation) {
+    const queue = [operation];
+    while (queue.length > 0) {
+      const current = queue.shift();
+      const node = {
+        id: current.id,
+        stamp: stampOf(current),
+        value: current.value,
+        deleted: sequence.erased.delete(current.id),
+        children: [],
+      };
+      const siblings = current.after
+        ? sequence.nodes.get(current.after).children
+        : sequence.roots;
+      const index = siblings.findIndex(
+        sibling => compareStamps(node.stamp, sibling.stamp) > 0
+      );
+      siblings.splice(index === -1 ? siblings.length : index, 0, node);
+      sequence.nodes.set(node.id, node);
+
+      queue.push(...(sequence.waiting.get(node.id) || []));
+      sequence.waiting.delete(node.id);
+    }
+  }
+
+  getVisibleNodes(path) {
+    const sequence = this.sequences.get(path);
+    if (!sequence) {
+      return [];
+    }
+
+    const visible = [];
+    const stack = [...sequence.roots].reverse();
+    while (stack.length > 0) {
+      const node = stack.pop();
+      if (!node.deleted) {
+        visible.push(node);
+      }
+      for (let i = node.children.length - 1; i >= 0; i--) {
+        stack.push(node.children[i]);
+      }
+    }
+    return visible;
+  }
+
+  recordChanges(prevState, nextState) {
+    const operations = [];
+    const record = fields => {
+      const operation = this.createOperation(fields);
+      operations.push(operation);
+      return operation;
+    };
+
+    const prevLeaves = new Map(
+      this.flatten(prevState).map(leaf => [pathKey(leaf.path), leaf])
+    );
+    const nextLeaves = new Map(
+      this.flatten(nextState).map(leaf => [pathKey(leaf.path), leaf])
+    );
+
+    prevLeaves.forEach((leaf, key) => {
+      if (!nextLeaves.has(key)) {
+        record({ op: 'delete', path: leaf.path });
+      }
+    });
+    nextLeaves.forEach((leaf, key) => {
+      const previous = prevLeaves.get(key);
+      if (!previous || !deepEqual(previous.value, leaf.value)) {
+        record({ op: 'set', path: leaf.path, value: cloneDeep(leaf.value) });
+      }
+    });
+
+    this.types.forEach((type, path) => {
+      const segments = parsePath(path);
+      const value = getIn(nextState, segments);
+      const tracked = this.sets.has(path) || this.sequences.has(path);
+      if (value === undefined && !tracked) {
+        return;
+      }
+
+      const next = toElements(value);
+      if (type === 'set') {
+        if (value !== undefined) {
+          this.getSet(path).array = Array.isArray(value);
+        }
+        this.recordSetChanges(segments, next, record);
+      } else {
+        this.recordSequenceChanges(segments, next, record);
+      }
+    });
+
+    return operations;
+  }
+
+  recordSetChanges(segments, next, record) {
+    const set = this.getSet(formatPath(segments));
+    const nextKeys = new Map(
+      next.map(element => [elementKey(element), element])
+    );
+
+    set.elements.forEach((entry, key) => {
+      if (!nextKeys.has(key)) {
+        record({
+          op: 'remove',
+          path: segments,
+          element: cloneDeep(entry.value),
+          tags: [...entry.tags],
+        });
+      }
+    });
+    nextKeys.forEach((element, key) => {
+      if (!set.elements.has(key)) {
+        record({ op: 'add', path: segments, element: cloneDeep(element) });
+      }
+    });
+  }
+
+  recordSequenceChanges(segments, next, record) {
+    const visible = this.getVisibleNodes(formatPath(segments));
+    let start = 0;
+    while (
+      start < visible.length &&
+      start < next.length &&
+      deepEqual(visible[start].value, next[start])
+    ) {
+      start++;
+    }
+
+    let prevEnd = visible.length;
+    let nextEnd = next.length;
+    while (
+      prevEnd > start &&
+      nextEnd > start &&
+      deepEqual(visible[prevEnd - 1].value, next[nextEnd - 1])
+    ) {
+      prevEnd--;
+      nextEnd--;
+    }
+
+    visible.slice(start, prevEnd).forEach(node => {
+      record({ op: 'erase', path: segments, target: node.id });
+    });
+
+    let after = start > 0 ? visible[start - 1].id : null;
+    next.slice(start, nextEnd).forEach(value => {
+      after = record({
+        op: 'insert',
+        path: segments,
+        after,
+        value: cloneDeep(value),
+      }).id;
+    });
+  }
+
+  toState() {
+    let state = {};
+    [...this.registers.values()]
+      .sort((a, b) => compareStamps(a.stamp, b.stamp))
+      .forEach(register => {
+        state = register.deleted
+          ? removeIn(state, register.path)
+          : setIn(state, register.path, cloneDeep(register.value));
+      });
+
+    this.sets.forEach((set, path) => {
+      const values = [...set.elements.keys()]
+        .sort()
+        .map(key => set.elements.get(key).value);
+      const elements = cloneDeep(values);
+      state = setIn(state, path, set.array ? elements : new Set(elements));
+    });
+    this.sequences.forEach((sequence, path) => {
+      const values = this.getVisibleNodes(path).map(node => node.value);
+      state = setIn(state, path, cloneDeep(values));
+    });
+    return state;
+  }
+
+  exportOperations({ all = false } = {}) {
+    const operations = all ? this.log : this.pending;
+    if (!all) {
+      this.pending = [];
+    }
+    return cloneDeep(operations);
+  }
+
+  importOperations(operations) {
+    return cloneDeep(operations).filter(operation =>
+      this.applyOperation(operation)
+    ).length;
+  }
+}
+
+export default CrdtDocument;
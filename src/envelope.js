@@ -0,0 +1,168 @@
+import crypto from 'crypto';
+import zlib from 'zlib';
+
+const MAGIC = Buffer.from('SMGR');
+const FORMAT_VERSION = 1;
+const HEADER_LENGTH = 8;
+const SALT_LENGTH = 16;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const KEY_LENGTH = 32;
+
+const FLAGS = {
+  gzip: 0x01,
+  brotli: 0x02,
+  encrypted: 0x04,
+};
+
+const compressors = {
+  gzip: {
+    compress: data => zlib.gzipSync(data),
+    decompress: data => zlib.gunzipSync(data),
+  },
+  brotli: {
+    compress: data => zlib.brotliCompressSync(data),
+    decompress: data => zlib.brotliDecompressSync(data),
+  },
+};
+
+export class StateIntegrityError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'StateIntegrityError';
+  }
+}
+
+export function isSealed(content) {
+  return (
+    Buffer.isBuffer(content) &&
+    content.length >= HEADER_LENGTH &&
+    content.subarray(0, MAGIC.length).equals(MAGIC)
+  );
+}
+
+function normalizeKey(key) {
+  let buffer = key;
+  if (typeof key === 'string') {
+    buffer = /^[0-9a-f]{64}$/i.test(key)
+      ? Buffer.from(key, 'hex')
+      : Buffer.from(key, 'base64');
+  }
+  if (!Buffer.isBuffer(buffer) || buffer.length !== KEY_LENGTH) {
+    throw new TypeError(
+      'Encryption key must be 32 bytes (a Buffer, hex or base64 string)'
+    );
+  }
+  return buffer;
+}
+
+export function createEnvelope({ compression, encryption } = {}) {
+  if (compression && !compressors[compression]) {
+    throw new Error(`Unsupported compression: ${compression}`);
+  }
+  if (encryption && !encryption.key && !encryption.passphrase) {
+    throw new TypeError('Encryption requires a key or a passphrase');
+  }
+
+  const rawKey = encryption && encryption.key && normalizeKey(encryption.key);
+  const writeSalt = crypto.randomBytes(SALT_LENGTH);
+  const derivedKeys = new Map();
+
+  const getKey = salt => {
+    if (rawKey) {
+      return rawKey;
+    }
+    const cacheKey = salt.toString('hex');
+    if (!derivedKeys.has(cacheKey)) {
+      derivedKeys.set(
+        cacheKey,
+        crypto.scryptSync(encryption.passphrase, salt, KEY_LENGTH)
+      );
+    }
+    return derivedKeys.get(cacheKey);
+  };
+
+  const enabled = Boolean(compression || encryption);
+
+  const seal = content => {
+    const data = Buffer.isBuffer(content) ? content : Buffer.from(content);
+    if (!enabled) {
+      return data;
+    }
+
+    const header = Buffer.alloc(HEADER_LENGTH);
+    MAGIC.copy(header);
+    header[4] = FORMAT_VERSION;
+    header[5] =
+      (compression ? FLAGS[compression] : 0) |
+      (encryption ? FLAGS.encrypted : 0);
+
+    const payload = compression
+      ? compressors[compression].compress(data)
+      : data;
+    if (!encryption) {
+      return Buffer.concat([header, payload]);
+    }
+
+    const salt = rawKey ? Buffer.alloc(SALT_LENGTH) : writeSalt;
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv('aes-256-gcm', getKey(salt), iv);
+    cipher.setAAD(Buffer.concat([header, salt, iv]));
+    const ciphertext = Buffer.concat([cipher.update(payload), cipher.final()]);
+    return Buffer.concat([header, salt, iv, cipher.getAuthTag(), ciphertext]);
+  };
+
+  const open = content => {
+    const data = Buffer.isBuffer(content) ? content : Buffer.from(content);
+    if (!isSealed(data)) {
+      if (encryption) {
+        throw new StateIntegrityError('State file is not encrypted');
+      }
+      return data;
+    }
+
+    const header = data.subarray(0, HEADER_LENGTH);
+    if (header[4] !== FORMAT_VERSION) {
+      throw new StateIntegrityError(
+        `Unsupported state file format version ${header[4]}`
+      );
+    }
+    const flags = header.readUInt8(5);
+    let payload = data.subarray(HEADER_LENGTH);
+
+    if (flags & FLAGS.encrypted) {
+      if (!encryption) {
+        throw new StateIntegrityError(
+          'State file is encrypted but no key was provided'
+        );
+      }
+      const minimumLength = SALT_LENGTH + IV_LENGTH + TAG_LENGTH;
+      if (payload.length < minimumLength) {
+        throw new StateIntegrityError('Encrypted state file is truncated');
+      }
+      const salt = payload.subarray(0, SALT_LENGTH);
+      const iv = payload.subarray(SALT_LENGTH, SALT_LENGTH + IV_LENGTH);
+      const tag = payload.subarray(SALT_LENGTH + IV_LENGTH, minimumLength);
+      const decipher = crypto.createDecipheriv('aes-256-gcm', getKey(salt), iv);
+      decipher.setAAD(Buffer.concat([header, salt, iv]));
+      decipher.setAuthTag(tag);
+      try {
+        payload = Buffer.concat([
+          decipher.update(payload.subarray(minimumLength)),
+          decipher.final(),
+        ]);
+      } catch {
+        throw new StateIntegrityError(
+          'State file failed authentication: wrong key or tampered content'
+        );
+      }
+    } else if (encryption) {
+      throw new StateIntegrityError('State file is not encrypted');
+    }
+
+    const name = Object.keys(compressors).find(key => flags & FLAGS[key]);
+    return name ? compressors[name].decompress(payload) : payload;
+  };
+
+  return { enabled, seal, open };
+}
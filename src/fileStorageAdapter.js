@@ -0,0 +1,43 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { atomicWriteFile } from './fileUtils.js';
+
+class FileStorageAdapter {
+  constructor(directory = '.', options = { extension: '.json' }) {
+    this.directory = directory;
+    this.options = { ...options };
+  }
+
+  getFilePath(key) {
+    const extension = this.options.extension || '';
+    return path.join(this.directory, `${encodeURIComponent(key)}${extension}`);
+  }
+
+  async getItem(key) {
+    try {
+      return await fs.readFile(this.getFilePath(key), 'utf-8');
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        return null;
+      }
+      throw err;
+    }
+  }
+
+  async setItem(key, value) {
+    await fs.mkdir(this.directory, { recursive: true });
+    await atomicWriteFile(this.getFilePath(key), String(value));
+  }
+
+  async removeItem(key) {
+    try {
+      await fs.unlink(this.getFilePath(key));
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        throw err;
+      }
+    }
+  }
+}
+
+export default FileStorageAdapter;
@@ -0,0 +1,171 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+const heldLockTokens = new Set();
+
+export async function atomicWriteFile(filePath, data) {
+  const directory = path.dirname(filePath);
+  const tempPath = path.join(
+    directory,
+    `.${path.basename(filePath)}.${process.pid}.${crypto
+      .randomBytes(6)
+      .toString('hex')}.tmp`
+  );
+
+  let handle = null;
+  try {
+    handle = await fs.open(tempPath, 'w');
+    await handle.writeFile(data);
+    await handle.sync();
+    await handle.close();
+    handle = null;
+
+    await fs.rename(tempPath, filePath);
+    await syncDirectory(directory);
+  } catch (err) {
+    if (handle) {
+      await handle.close().catch(() => {});
+    }
+    await fs.unlink(tempPath).catch(() => {});
+    throw err;
+  }
+}
+
+export async function appendFileDurable(filePath, data) {
+  const handle = await fs.open(filePath, 'a');
+  try {
+    await handle.appendFile(data);
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+}
+
+async function syncDirectory(directory) {
+  let handle = null;
+  try {
+    handle = await fs.open(directory, 'r');
+    await handle.sync();
+  } catch {
+    // Not every platform allows fsync on directories.
+  } finally {
+    if (handle) {
+      await handle.close().catch(() => {});
+    }
+  }
+}
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === 'EPERM';
+  }
+}
+
+async function readLock(lockPath) {
+  try {
+    const [content, stats] = await Promise.all([
+      fs.readFile(lockPath, 'utf-8'),
+      fs.stat(lockPath),
+    ]);
+    let owner = {};
+    try {
+      owner = JSON.parse(content) || {};
+    } catch {
+      // A lock that is still being written has no owner yet.
+    }
+    return { pid: owner.pid, token: owner.token, mtimeMs: stats.mtimeMs };
+  } catch {
+    return null;
+  }
+}
+
+function isStaleLock(lock, staleTimeout) {
+  if (lock.pid === process.pid) {
+    return !heldLockTokens.has(lock.token);
+  }
+  if (Number.isInteger(lock.pid)) {
+    return !isProcessAlive(lock.pid);
+  }
+  return Date.now() - lock.mtimeMs > staleTimeout;
+}
+
+async function takeOverStaleLock(lockPath, staleLock) {
+  const asidePath = `${lockPath}.${crypto.randomBytes(6).toString('hex')}.stale`;
+  try {
+    await fs.rename(lockPath, asidePath);
+  } catch {
+    return;
+  }
+
+  const moved = await readLock(asidePath);
+  if (moved && moved.token !== staleLock.token) {
+    // Another waiter took over first and this moved its fresh lock aside.
+    await fs.link(asidePath, lockPath).catch(() => {});
+  }
+  await fs.unlink(asidePath).catch(() => {});
+}
+
+export async function acquireLock(
+  filePath,
+  { timeout = 5000, staleTimeout = 10000, retryDelay = 25 } = {}
+) {
+  const lockPath = `${filePath}.lock`;
+  const token = crypto.randomBytes(8).toString('hex');
+  const startedAt = Date.now();
+
+  for (;;) {
+    try {
+      await fs.writeFile(
+        lockPath,
+        JSON.stringify({ pid: process.pid, token, createdAt: Date.now() }),
+        { flag: 'wx' }
+      );
+      heldLockTokens.add(token);
+      break;
+    } catch (err) {
+      if (err.code !== 'EEXIST') {
+        throw err;
+      }
+
+      const lock = await readLock(lockPath);
+      if (!lock) {
+        continue;
+      }
+      if (isStaleLock(lock, staleTimeout)) {
+        await takeOverStaleLock(lockPath, lock);
+        continue;
+      }
+
+      if (Date.now() - startedAt >= timeout) {
+        throw new Error(`Timed out waiting for lock on ${filePath}`);
+      }
+      await sleep(retryDelay);
+    }
+  }
+
+  return async () => {
+    heldLockTokens.delete(token);
+    try {
+      const content = await fs.readFile(lockPath, 'utf-8');
+      if (JSON.parse(content).token === token) {
+        await fs.unlink(lockPath);
+      }
+    } catch {
+      // The lock was already removed or taken over as stale.
+    }
+  };
+}
+
+export async function withFileLock(filePath, options, fn) {
+  const release = await acquireLock(filePath, options);
+  try {
+    return await fn();
+  } finally {
+    await release();
+  }
+}
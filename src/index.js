@@ -1,9 +1,65 @@
 import StateManager from './stateManager.js';
 import PersistenceMiddleware from './persistenceMiddleware.js';
+import { createSelector, shallowEqual } from './selectors.js';
+import { StateValidationError, validateSchema } from './schemaValidator.js';
+import { MemoryStorageAdapter, WebStorageAdapter } from './storageAdapters.js';
+import FileStorageAdapter from './fileStorageAdapter.js';
+import TabSync from './tabSync.js';
+import StateServer from './stateServer.js';
+import RemoteStateManager from './remoteStateManager.js';
+import CrdtDocument from './crdt.js';
+import { StateVersionError } from './migrations.js';
+import { registerCodec } from './codecs.js';
+import { StateIntegrityError } from './envelope.js';
+import {
+  cloneDeep,
+  deserialize,
+  registerType,
+  serialize,
+} from './serializer.js';
 
-export { StateManager, PersistenceMiddleware };
+export {
+  StateManager,
+  PersistenceMiddleware,
+  createSelector,
+  shallowEqual,
+  StateValidationError,
+  validateSchema,
+  MemoryStorageAdapter,
+  WebStorageAdapter,
+  FileStorageAdapter,
+  TabSync,
+  StateServer,
+  RemoteStateManager,
+  CrdtDocument,
+  StateVersionError,
+  registerCodec,
+  StateIntegrityError,
+  registerType,
+  serialize,
+  deserialize,
+  cloneDeep,
+};
 
 export default {
   StateManager,
   PersistenceMiddleware,
+  createSelector,
+  shallowEqual,
+  StateValidationError,
+  validateSchema,
+  MemoryStorageAdapter,
+  WebStorageAdapter,
+  FileStorageAdapter,
+  TabSync,
+  StateServer,
+  RemoteStateManager,
+  CrdtDocument,
+  StateVersionError,
+  registerCodec,
+  StateIntegrityError,
+  registerType,
+  serialize,
+  deserialize,
+  cloneDeep,
 };
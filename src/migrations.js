@@ -0,0 +1,53 @@
+export const VERSION_KEY = '$version';
+
+export class StateVersionError extends Error {
+  constructor(fileVersion, currentVersion) {
+    super(
+      `State file version ${fileVersion} is newer than the supported version ${currentVersion}`
+    );
+    this.name = 'StateVersionError';
+    this.fileVersion = fileVersion;
+    this.currentVersion = currentVersion;
+  }
+}
+
+export function wrapState(state, version) {
+  return { [VERSION_KEY]: version, state };
+}
+
+export function unwrapState(content, defaultVersion = 1) {
+  if (
+    typeof content === 'object' &&
+    content !== null &&
+    !Array.isArray(content) &&
+    Object.prototype.hasOwnProperty.call(content, VERSION_KEY) &&
+    Object.prototype.hasOwnProperty.call(content, 'state')
+  ) {
+    return { version: content[VERSION_KEY], state: content.state };
+  }
+  return { version: defaultVersion, state: content };
+}
+
+export function migrateState(state, fromVersion, toVersion, migrations = {}) {
+  if (!Number.isInteger(fromVersion)) {
+    throw new Error(`Invalid state file version: ${fromVersion}`);
+  }
+  if (fromVersion > toVersion) {
+    throw new StateVersionError(fromVersion, toVersion);
+  }
+
+  let migrated = state;
+  for (let version = fromVersion + 1; version <= toVersion; version++) {
+    const migration = migrations[version];
+    if (typeof migration === 'function') {
+      try {
+        migrated = migration(migrated);
+      } catch (err) {
+        throw new Error(
+          `Migration to version ${version} failed: ${err.message}`
+        );
+      }
+    }
+  }
+  return migrated;
+}
@@ -0,0 +1,218 @@
+class Encoder {
+  constructor() {
+    this.chunks = [];
+  }
+
+  push(bytes) {
+    this.chunks.push(Buffer.from(bytes));
+  }
+
+  header(value, fixPrefix, fixLimit, [code8, code16, code32]) {
+    if (value < fixLimit && fixPrefix !== null) {
+      this.push([fixPrefix | value]);
+    } else if (value <= 0xff && code8 !== null) {
+      this.push([code8, value]);
+    } else if (value <= 0xffff) {
+      const buffer = Buffer.alloc(3);
+      buffer[0] = code16;
+      buffer.writeUInt16BE(value, 1);
+      this.chunks.push(buffer);
+    } else {
+      const buffer = Buffer.alloc(5);
+      buffer[0] = code32;
+      buffer.writeUInt32BE(value, 1);
+      this.chunks.push(buffer);
+    }
+  }
+
+  encodeNumber(value) {
+    if (
+      Number.isInteger(value) &&
+      value >= -0x80000000 &&
+      value <= 0xffffffff
+    ) {
+      if (value >= 0 && value < 0x80) {
+        this.push([value]);
+      } else if (value < 0 && value >= -0x20) {
+        this.push([0xe0 | (value + 0x20)]);
+      } else if (value >= 0) {
+        this.header(value, null, 0, [0xcc, 0xcd, 0xce]);
+      } else if (value >= -0x80) {
+        const buffer = Buffer.alloc(2);
+        buffer[0] = 0xd0;
+        buffer.writeInt8(value, 1);
+        this.chunks.push(buffer);
+      } else if (value >= -0x8000) {
+        const buffer = Buffer.alloc(3);
+        buffer[0] = 0xd1;
+        buffer.writeInt16BE(value, 1);
+        this.chunks.push(buffer);
+      } else {
+        const buffer = Buffer.alloc(5);
+        buffer[0] = 0xd2;
+        buffer.writeInt32BE(value, 1);
+        this.chunks.push(buffer);
+      }
+      return;
+    }
+
+    const buffer = Buffer.alloc(9);
+    buffer[0] = 0xcb;
+    buffer.writeDoubleBE(value, 1);
+    this.chunks.push(buffer);
+  }
+
+  encode(value) {
+    if (value === null || value === undefined) {
+      this.push([0xc0]);
+    } else if (value === false) {
+      this.push([0xc2]);
+    } else if (value === true) {
+      this.push([0xc3]);
+    } else if (typeof value === 'number') {
+      this.encodeNumber(value);
+    } else if (typeof value === 'string') {
+      const bytes = Buffer.from(value, 'utf-8');
+      this.header(bytes.length, 0xa0, 32, [0xd9, 0xda, 0xdb]);
+      this.chunks.push(bytes);
+    } else if (value instanceof Uint8Array) {
+      this.header(value.length, null, 0, [0xc4, 0xc5, 0xc6]);
+      this.chunks.push(Buffer.from(value));
+    } else if (Array.isArray(value)) {
+      this.header(value.length, 0x90, 16, [null, 0xdc, 0xdd]);
+      value.forEach(item => this.encode(item));
+    } else if (typeof value === 'object') {
+      const keys = Object.keys(value).filter(key => value[key] !== undefined);
+      this.header(keys.length, 0x80, 16, [null, 0xde, 0xdf]);
+      keys.forEach(key => {
+        this.encode(key);
+        this.encode(value[key]);
+      });
+    } else {
+      throw new TypeError(
+        `msgpack: cannot encode value of type ${typeof value}`
+      );
+    }
+  }
+}
+
+export function encodeMsgpack(value) {
+  const encoder = new Encoder();
+  encoder.encode(value);
+  return Buffer.concat(encoder.chunks);
+}
+
+export function decodeMsgpack(input) {
+  const buffer = Buffer.isBuffer(input) ? input : Buffer.from(input);
+  let offset = 0;
+
+  const ensure = length => {
+    if (offset + length > buffer.length) {
+      throw new RangeError('msgpack: unexpected end of data');
+    }
+  };
+
+  const read = (length, reader) => {
+    ensure(length);
+    const value = reader(offset);
+    offset += length;
+    return value;
+  };
+
+  const readString = length => {
+    ensure(length);
+    const value = buffer.toString('utf-8', offset, offset + length);
+    offset += length;
+    return value;
+  };
+
+  const readBinary = length => {
+    ensure(length);
+    const value = Buffer.from(buffer.subarray(offset, offset + length));
+    offset += length;
+    return value;
+  };
+
+  const readArray = length => {
+    const result = [];
+    for (let i = 0; i < length; i++) {
+      result.push(decode());
+    }
+    return result;
+  };
+
+  const readMap = length => {
+    const result = {};
+    for (let i = 0; i < length; i++) {
+      const key = decode();
+      result[key] = decode();
+    }
+    return result;
+  };
+
+  const toNumber = big =>
+    big <= BigInt(Number.MAX_SAFE_INTEGER) &&
+    big >= BigInt(Number.MIN_SAFE_INTEGER)
+      ? Number(big)
+      : big;
+
+  const readers = {
+    0xc0: () => null,
+    0xc2: () => false,
+    0xc3: () => true,
+    0xc4: () => readBinary(read(1, p => buffer.readUInt8(p))),
+    0xc5: () => readBinary(read(2, p => buffer.readUInt16BE(p))),
+    0xc6: () => readBinary(read(4, p => buffer.readUInt32BE(p))),
+    0xca: () => read(4, p => buffer.readFloatBE(p)),
+    0xcb: () => read(8, p => buffer.readDoubleBE(p)),
+    0xcc: () => read(1, p => buffer.readUInt8(p)),
+    0xcd: () => read(2, p => buffer.readUInt16BE(p)),
+    0xce: () => read(4, p => buffer.readUInt32BE(p)),
+    0xcf: () => toNumber(read(8, p => buffer.readBigUInt64BE(p))),
+    0xd0: () => read(1, p => buffer.readInt8(p)),
+    0xd1: () => read(2, p => buffer.readInt16BE(p)),
+    0xd2: () => read(4, p => buffer.readInt32BE(p)),
+    0xd3: () => toNumber(read(8, p => buffer.readBigInt64BE(p))),
+    0xd9: () => readString(read(1, p => buffer.readUInt8(p))),
+    0xda: () => readString(read(2, p => buffer.readUInt16BE(p))),
+    0xdb: () => readString(read(4, p => buffer.readUInt32BE(p))),
+    0xdc: () => readArray(read(2, p => buffer.readUInt16BE(p))),
+    0xdd: () => readArray(read(4, p => buffer.readUInt32BE(p))),
+    0xde: () => readMap(read(2, p => buffer.readUInt16BE(p))),
+    0xdf: () => readMap(read(4, p => buffer.readUInt32BE(p))),
+  };
+
+  const decode = () => {
+    const byte = read(1, position => buffer[position]);
+
+    if (byte < 0x80) {
+      return byte;
+    }
+    if (byte >= 0xe0) {
+      return byte - 0x100;
+    }
+    if (byte >= 0x80 && byte <= 0x8f) {
+      return readMap(byte & 0x0f);
+    }
+    if (byte >= 0x90 && byte <= 0x9f) {
+      return readArray(byte & 0x0f);
+    }
+    if (byte >= 0xa0 && byte <= 0xbf) {
+      return readString(byte & 0x1f);
+    }
+
+    const reader = readers[byte];
+    if (!reader) {
+      throw new TypeError(
+        `msgpack: unsupported type byte 0x${byte.toString(16)}`
+      );
+    }
+    return reader();
+  };
+
+  const value = decode();
+  if (offset !== buffer.length) {
+    throw new RangeError('msgpack: trailing bytes after value');
+  }
+  return value;
+}
@@ -0,0 +1,41 @@
+import { deserialize, serialize } from './serializer.js';
+
+export const DEFAULT_MAX_MESSAGE_SIZE = 16 * 1024 * 1024;
+
+export function encodeMessage(message) {
+  return `${serialize(message)}\n`;
+}
+
+export function createMessageReader(
+  onMessage,
+  onError,
+  maxMessageSize = DEFAULT_MAX_MESSAGE_SIZE
+) {
+  let buffer = '';
+
+  return chunk => {
+    buffer += chunk;
+    let index = buffer.indexOf('\n');
+    while (index !== -1) {
+      const line = buffer.slice(0, index);
+      buffer = buffer.slice(index + 1);
+      if (line.trim()) {
+        let message;
+        try {
+          message = deserialize(line);
+        } catch (err) {
+          onError(err);
+        }
+        if (message !== undefined) {
+          onMessage(message);
+        }
+      }
+      index = buffer.indexOf('\n');
+    }
+
+    if (buffer.length > maxMessageSize) {
+      buffer = '';
+      onError(new RangeError('Message exceeds the maximum size'));
+    }
+  };
+}
@@ -0,0 +1,101 @@
+import { deepEqual } from './selectors.js';
+import { serialize } from './serializer.js';
+
+const isPlainObject = value =>
+  typeof value === 'object' &&
+  value !== null &&
+  Object.getPrototypeOf(value) === Object.prototype;
+
+const hasOwn = (target, key) =>
+  Object.prototype.hasOwnProperty.call(target, key);
+
+function diff(prev, next, path, forward, inverse, visiting = new Map()) {
+  if (Object.is(prev, next) || visiting.get(prev) === next) {
+    return;
+  }
+
+  const recurse = (key, prevValue, nextValue) => {
+    visiting.set(prev, next);
+    diff(prevValue, nextValue, [...path, key], forward, inverse, visiting);
+    visiting.delete(prev);
+  };
+
+  if (isPlainObject(prev) && isPlainObject(next)) {
+    Object.keys(prev).forEach(key => {
+      if (!hasOwn(next, key)) {
+        forward.push({ op: 'remove', path: [...path, key] });
+        inverse.push({ op: 'set', path: [...path, key], value: prev[key] });
+      }
+    });
+
+    Object.keys(next).forEach(key => {
+      if (!hasOwn(prev, key)) {
+        forward.push({ op: 'set', path: [...path, key], value: next[key] });
+        inverse.push({ op: 'remove', path: [...path, key] });
+      } else {
+        recurse(key, prev[key], next[key]);
+      }
+    });
+    return;
+  }
+
+  if (
+    Array.isArray(prev) &&
+    Array.isArray(next) &&
+    prev.length === next.length
+  ) {
+    next.forEach((item, index) => {
+      recurse(index, prev[index], item);
+    });
+    return;
+  }
+
+  if (deepEqual(prev, next)) {
+    return;
+  }
+
+  forward.push({ op: 'set', path, value: next });
+  inverse.push({ op: 'set', path, value: prev });
+}
+
+export function createPatches(prevState, nextState) {
+  const forward = [];
+  const inverse = [];
+  diff(prevState, nextState, [], forward, inverse);
+  return { forward, inverse: inverse.reverse() };
+}
+
+function applyPatch(target, { op, path, value }, index = 0) {
+  if (index === path.length) {
+    return value;
+  }
+
+  const key = path[index];
+  const container = Array.isArray(target)
+    ? target.slice()
+    : { ...(typeof target === 'object' && target !== null ? target : {}) };
+
+  if (index === path.length - 1 && op === 'remove') {
+    if (Array.isArray(container)) {
+      container.splice(key, 1);
+    } else {
+      delete container[key];
+    }
+    return container;
+  }
+
+  container[key] = applyPatch(container[key], { op, path, value }, index + 1);
+  return container;
+}
+
+export function applyPatches(state, patches) {
+  return patches.reduce((current, patch) => applyPatch(current, patch), state);
+}
+
+export function estimatePatchSize(patches) {
+  try {
+    return serialize(patches).length;
+  } catch {
+    return 0;
+  }
+}
@@ -0,0 +1,158 @@
+import { deepEqual } from './selectors.js';
+
+export const WILDCARD = '*';
+
+export function parsePath(path) {
+  if (Array.isArray(path)) {
+    return path.map(String);
+  }
+  return String(path)
+    .split('.')
+    .filter(segment => segment !== '');
+}
+
+export function formatPath(segments) {
+  return segments.join('.');
+}
+
+export function isObjectLike(value) {
+  return typeof value === 'object' && value !== null;
+}
+
+export function getIn(source, path) {
+  let current = source;
+  for (const segment of parsePath(path)) {
+    if (!isObjectLike(current)) {
+      return undefined;
+    }
+    current = current[segment];
+  }
+  return current;
+}
+
+export function hasWildcard(path) {
+  return parsePath(path).includes(WILDCARD);
+}
+
+export function expandPaths(path, ...sources) {
+  const segments = parsePath(path);
+  const results = [];
+
+  const walk = (nodes, index, prefix) => {
+    if (index === segments.length) {
+      results.push(prefix);
+      return;
+    }
+
+    const segment = segments[index];
+    if (segment !== WILDCARD) {
+      walk(
+        nodes.map(node => (isObjectLike(node) ? node[segment] : undefined)),
+        index + 1,
+        [...prefix, segment]
+      );
+      return;
+    }
+
+    const keys = new Set();
+    nodes.forEach(node => {
+      if (isObjectLike(node)) {
+        Object.keys(node).forEach(key => keys.add(key));
+      }
+    });
+
+    keys.forEach(key => {
+      walk(
+        nodes.map(node => (isObjectLike(node) ? node[key] : undefined)),
+        index + 1,
+        [...prefix, key]
+      );
+    });
+  };
+
+  walk(sources, 0, []);
+  return results;
+}
+
+export const isPlainObject = value =>
+  isObjectLike(value) && Object.getPrototypeOf(value) === Object.prototype;
+
+export function setIn(source, path, value) {
+  const segments = parsePath(path);
+  if (segments.length === 0) {
+    return value;
+  }
+
+  const [key, ...rest] = segments;
+  const container = Array.isArray(source)
+    ? source.slice()
+    : { ...(isObjectLike(source) ? source : {}) };
+  container[key] = setIn(container[key], rest, value);
+  return container;
+}
+
+export function removeIn(source, path) {
+  const segments = parsePath(path);
+  if (segments.length === 0 || !isObjectLike(source)) {
+    return source;
+  }
+
+  const [key, ...rest] = segments;
+  if (!Object.prototype.hasOwnProperty.call(source, key)) {
+    return source;
+  }
+
+  const container = Array.isArray(source) ? source.slice() : { ...source };
+  if (rest.length === 0 && Array.isArray(container)) {
+    container.splice(Number(key), 1);
+  } else if (rest.length === 0) {
+    delete container[key];
+  } else {
+    container[key] = removeIn(container[key], rest);
+  }
+  return container;
+}
+
+export function pickPaths(source, { include, exclude } = {}) {
+  let result = source;
+
+  if (include && include.length > 0) {
+    result = {};
+    include.forEach(pattern => {
+      expandPaths(pattern, source).forEach(path => {
+        const value = getIn(source, path);
+        if (value !== undefined) {
+          result = setIn(result, path, value);
+        }
+      });
+    });
+  }
+
+  (exclude || []).forEach(pattern => {
+    expandPaths(pattern, result)
+      .reverse()
+      .forEach(path => {
+        result = removeIn(result, path);
+      });
+  });
+
+  return result;
+}
+
+export function mergeDeep(target, source) {
+  if (!isPlainObject(target) || !isPlainObject(source)) {
+    return source;
+  }
+
+  const result = { ...target };
+  Object.keys(source).forEach(key => {
+    result[key] = mergeDeep(target[key], source[key]);
+  });
+  return result;
+}
+
+export function hasPathChanged(path, prev, next) {
+  return expandPaths(path, prev, next).some(
+    expanded => !deepEqual(getIn(prev, expanded), getIn(next, expanded))
+  );
+}
@@ -1,23 +1,116 @@
-import { promises as fs } from 'fs';
+import { promises as fs, unwatchFile, watch as watchPath, watchFile } from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { validateSchema } from './schemaValidator.js';
+import {
+  appendFileDurable,
+  atomicWriteFile,
+  withFileLock,
+} from './fileUtils.js';
+import { migrateState, unwrapState, wrapState } from './migrations.js';
+import {
+  detectFileType,
+  getCodec,
+  getCodecNames,
+  registerCodec,
+} from './codecs.js';
+import { applyPatches, createPatches } from './patches.js';
+import { createEnvelope } from './envelope.js';
+import { mergeDeep, pickPaths } from './pathUtils.js';
+import {
+  decodeTypes,
+  deserialize,
+  encodeTypes,
+  serialize,
+} from './serializer.js';
+import { registerFlushOnExit } from './shutdown.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const redactOptions = options => {
+  if (!options.encryption) {
+    return { ...options };
+  }
+  const redacted = Object.keys(options.encryption).map(key => [
+    key,
+    '[redacted]',
+  ]);
+  return { ...options, encryption: Object.fromEntries(redacted) };
+};
+
+const hashContent = content =>
+  crypto.createHash('sha256').update(content).digest('hex');
+
+const formatBackupId = time =>
+  new Date(time).toISOString().replace(/[-:.]/g, '');
+
+const parseBackupTime = id => {
+  const match = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(\d{3})Z$/.exec(
+    id
+  );
+  if (!match) {
+    return null;
+  }
+  const [, year, month, day, hours, minutes, seconds, ms] = match;
+  return new Date(
+    `${year}-${month}-${day}T${hours}:${minutes}:${seconds}.${ms}Z`
+  );
+};
 
 class PersistenceMiddleware {
   constructor(
     filePath = 'state.json',
-    options = { spaces: 2, fileType: 'json', version: 1 }
+    options = { spaces: 2, fileType: 'auto', version: 1 }
   ) {
     this.filePath = filePath;
     this.options = { ...options };
+    this.validationErrors = [];
+    this.lastError = null;
+    this.journalState = null;
+    this.journalEntries = 0;
+    this.journalBytes = 0;
+    this.journalQueue = Promise.resolve();
+    this.lastBackupTime = 0;
+    this.backupTimer = null;
+    this.envelope = null;
+    this.pendingWrite = null;
+    this.writeTimer = null;
+    this.writeInFlight = null;
+    this.unregisterFlush = null;
+    this.lastWrittenHash = null;
+    this.lastSavedState = null;
+    this.watchers = new Set();
+    this.attachedWrites = Promise.resolve();
+    this.startAutoBackup();
   }
 
   async saveState(state) {
+    const { beforeSave } = this.getBackupOptions();
+    const saved = await this.writeStateFile(state, beforeSave);
+    if (saved && beforeSave) {
+      await this.pruneBackups();
+    }
+    return saved;
+  }
+
+  selectPersistedState(state) {
+    const { persist } = this.options;
+    return persist ? pickPaths(state, persist) : state;
+  }
+
+  async writeStateFile(nextState, backupFirst = false) {
     try {
-      const { spaces, fileType } = this.options;
-      const serializedState =
-        fileType === 'json'
-          ? JSON.stringify(state, null, spaces)
-          : state.toString();
+      const state = this.selectPersistedState(nextState);
+      const serializedState = this.serializeState(state);
 
-      await fs.writeFile(this.filePath, serializedState);
+      await this.withLock(async () => {
+        if (backupFirst) {
+          await this.writeBackup();
+        }
+        this.lastWrittenHash = hashContent(serializedState);
+        this.lastSavedState = state;
+        await atomicWriteFile(this.filePath, serializedState);
+      });
       return true;
     } catch (err) {
       console.error('PersistenceMiddleware: Error saving state:', err.message);
@@ -25,25 +118,347 @@ class PersistenceMiddleware {
     }
   }
 
+  static registerCodec(name, codec) {
+    registerCodec(name, codec);
+  }
+
+  static getCodecNames() {
+    return getCodecNames();
+  }
+
+  getFileType() {
+    const { fileType } = this.options;
+    if (!fileType || fileType === 'auto') {
+      return detectFileType(this.filePath) || 'json';
+    }
+    return fileType;
+  }
+
+  getCodec() {
+    const fileType = this.getFileType();
+    const codec = getCodec(fileType);
+    if (!codec) {
+      throw new Error(`Unsupported file type: ${fileType}`);
+    }
+    return codec;
+  }
+
+  getEnvelope() {
+    const { compression, encryption } = this.options;
+    if (
+      !this.envelope ||
+      this.envelope.compression !== compression ||
+      this.envelope.encryption !== encryption
+    ) {
+      this.envelope = {
+        ...createEnvelope({ compression, encryption }),
+        compression,
+        encryption,
+      };
+    }
+    return this.envelope;
+  }
+
+  serializeState(state) {
+    const { spaces } = this.options;
+    const content = this.getCodec().encode(
+      encodeTypes(wrapState(state, this.getVersion())),
+      { spaces }
+    );
+    const envelope = this.getEnvelope();
+    return envelope.enabled ? envelope.seal(content) : content;
+  }
+
+  encodeJournalRecord(record) {
+    const line = serialize(record);
+    const envelope = this.getEnvelope();
+    return `${envelope.enabled ? envelope.seal(line).toString('base64') : line}\n`;
+  }
+
+  decodeJournalRecord(line) {
+    const envelope = this.getEnvelope();
+    if (!envelope.enabled) {
+      return deserialize(line);
+    }
+    return deserialize(
+      envelope.open(Buffer.from(line.trim(), 'base64')).toString('utf-8')
+    );
+  }
+
+  async withLock(fn, filePath = this.filePath) {
+    const { lock } = this.options;
+    if (lock === false) {
+      return await fn();
+    }
+    return await withFileLock(filePath, lock, fn);
+  }
+
   async loadState() {
+    this.lastError = null;
     try {
-      const fileContent = await fs.readFile(this.filePath, 'utf-8');
-      return this.parseFileContent(fileContent);
+      const fileContent = await fs.readFile(this.filePath);
+      if (!this.getJournalOptions()) {
+        return this.parseFileContent(fileContent);
+      }
+
+      this.journalState = null;
+      const { version, state } = this.decodeFileContent(fileContent);
+      return migrateState(
+        await this.replayJournal(state),
+        version,
+        this.getVersion(),
+        this.options.migrations
+      );
     } catch (err) {
+      this.lastError = err;
       console.error('PersistenceMiddleware: Error loading state:', err.message);
       return null;
     }
   }
 
   async persistState(prevState, nextState) {
-    return await this.saveState(nextState);
+    if (this.getWriteBehindOptions()) {
+      return await this.scheduleWrite(nextState);
+    }
+    return await this.writeState(nextState);
+  }
+
+  async writeState(state) {
+    if (this.getJournalOptions()) {
+      return await this.appendJournal(state);
+    }
+    return await this.saveState(state);
+  }
+
+  getWriteBehindOptions() {
+    const { writeBehind } = this.options;
+    if (!writeBehind || writeBehind.enabled === false) {
+      return null;
+    }
+    return {
+      interval: 1000,
+      flushOnExit: true,
+      ...(writeBehind === true ? {} : writeBehind),
+    };
+  }
+
+  scheduleWrite(state) {
+    if (!this.pendingWrite) {
+      let resolve;
+      const promise = new Promise(done => {
+        resolve = done;
+      });
+      this.pendingWrite = { promise, resolve };
+    }
+    this.pendingWrite.state = state;
+
+    if (!this.unregisterFlush && this.getWriteBehindOptions().flushOnExit) {
+      this.unregisterFlush = registerFlushOnExit(() => this.flush());
+    }
+    this.scheduleWriteTimer();
+    return this.pendingWrite.promise;
+  }
+
+  scheduleWriteTimer() {
+    if (this.writeTimer || this.writeInFlight || !this.pendingWrite) {
+      return;
+    }
+    this.writeTimer = setTimeout(() => {
+      this.writeTimer = null;
+      this.writePending();
+    }, this.getWriteBehindOptions().interval);
+    if (this.writeTimer.unref) {
+      this.writeTimer.unref();
+    }
+  }
+
+  writePending() {
+    const pending = this.pendingWrite;
+    this.pendingWrite = null;
+    this.writeInFlight = this.writeState(pending.state)
+      .catch(() => false)
+      .then(result => {
+        this.writeInFlight = null;
+        pending.resolve(result);
+        this.scheduleWriteTimer();
+      });
+    return this.writeInFlight;
+  }
+
+  hasPendingWrites() {
+    return Boolean(this.pendingWrite || this.writeInFlight);
+  }
+
+  async flush() {
+    await this.attachedWrites;
+    while (this.hasPendingWrites()) {
+      clearTimeout(this.writeTimer);
+      this.writeTimer = null;
+      await (this.writeInFlight || this.writePending());
+    }
+    return true;
+  }
+
+  async close() {
+    this.stopAutoBackup();
+    this.watchers.forEach(unwatch => unwatch());
+    await this.flush();
+    if (this.unregisterFlush) {
+      this.unregisterFlush();
+      this.unregisterFlush = null;
+    }
+  }
+
+  getJournalOptions() {
+    const { journal } = this.options;
+    if (!journal || journal.enabled === false) {
+      return null;
+    }
+    return {
+      maxEntries: 1000,
+      maxBytes: 1024 * 1024,
+      ...(journal === true ? {} : journal),
+    };
+  }
+
+  getJournalPath() {
+    return `${this.filePath}.journal`;
+  }
+
+  getJournalInfo() {
+    return {
+      path: this.getJournalPath(),
+      entries: this.journalEntries,
+      bytes: this.journalBytes,
+    };
+  }
+
+  queueJournalTask(task) {
+    const result = this.journalQueue.then(task);
+    this.journalQueue = result.catch(() => {});
+    return result;
+  }
+
+  appendJournal(nextState) {
+    const state = this.selectPersistedState(nextState);
+    return this.queueJournalTask(async () => {
+      if (this.journalState === null) {
+        return await this.writeSnapshot(state);
+      }
+
+      const { forward } = createPatches(this.journalState, state);
+      if (forward.length === 0) {
+        return true;
+      }
+
+      const record = this.encodeJournalRecord({
+        seq: this.journalEntries + 1,
+        patches: forward,
+      });
+      if (!(await this.appendToFile(record, this.getJournalPath()))) {
+        return false;
+      }
+
+      this.journalState = state;
+      this.journalEntries += 1;
+      this.journalBytes += Buffer.byteLength(record);
+
+      const { maxEntries, maxBytes } = this.getJournalOptions();
+      if (this.journalEntries >= maxEntries || this.journalBytes >= maxBytes) {
+        return await this.writeSnapshot(state);
+      }
+      return true;
+    });
+  }
+
+  compactJournal(state) {
+    return this.queueJournalTask(async () => {
+      const currentState = state === undefined ? await this.loadState() : state;
+      if (currentState === null) {
+        return false;
+      }
+      return await this.writeSnapshot(currentState);
+    });
+  }
+
+  async writeSnapshot(nextState) {
+    const state = this.selectPersistedState(nextState);
+    if (!(await this.saveState(state))) {
+      return false;
+    }
+
+    try {
+      await fs.unlink(this.getJournalPath());
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        console.error(
+          'PersistenceMiddleware: Error removing journal:',
+          err.message
+        );
+        return false;
+      }
+    }
+
+    this.journalState = state;
+    this.journalEntries = 0;
+    this.journalBytes = 0;
+    return true;
+  }
+
+  async replayJournal(state) {
+    let content;
+    try {
+      content = await fs.readFile(this.getJournalPath(), 'utf-8');
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        return state;
+      }
+      throw err;
+    }
+
+    const lines = content.split('\n');
+    return lines.reduce((current, line, index) => {
+      if (line.trim() === '') {
+        return current;
+      }
+
+      let record;
+      try {
+        record = this.decodeJournalRecord(line);
+      } catch (err) {
+        if (index === lines.length - 1) {
+          console.error(
+            'PersistenceMiddleware: Ignoring torn journal record at line',
+            index + 1
+          );
+          return current;
+        }
+        throw new Error(
+          `Corrupted journal record at line ${index + 1}: ${err.message}`
+        );
+      }
+      return applyPatches(current, record.patches);
+    }, state);
+  }
+
+  decodeFileContent(content) {
+    const codec = this.getCodec();
+    const opened = this.getEnvelope().open(content);
+    const data = codec.binary ? opened : opened.toString('utf-8');
+    return unwrapState(decodeTypes(codec.decode(data)));
   }
 
   parseFileContent(content) {
     try {
-      const { fileType } = this.options;
-      return fileType === 'json' ? JSON.parse(content) : content;
+      const { version, state } = this.decodeFileContent(content);
+      return migrateState(
+        state,
+        version,
+        this.getVersion(),
+        this.options.migrations
+      );
     } catch (err) {
+      this.lastError = err;
       console.error(
         'PersistenceMiddleware: Error parsing file content:',
         err.message
@@ -54,8 +469,12 @@ class PersistenceMiddleware {
 
   async renameFile(newFilePath) {
     try {
+      const journalPath = this.getJournalPath();
       await fs.rename(this.filePath, newFilePath);
       this.filePath = newFilePath;
+      if (await this.fileExists(journalPath)) {
+        await fs.rename(journalPath, this.getJournalPath());
+      }
       return true;
     } catch (err) {
       console.error('PersistenceMiddleware: Error renaming file:', err.message);
@@ -66,6 +485,8 @@ class PersistenceMiddleware {
   async deleteFile() {
     try {
       await fs.unlink(this.filePath);
+      await fs.unlink(this.getJournalPath()).catch(() => {});
+      this.journalState = null;
       return true;
     } catch (err) {
       console.error('PersistenceMiddleware: Error deleting file:', err.message);
@@ -81,7 +502,7 @@ class PersistenceMiddleware {
         created: stats.birthtime,
         modified: stats.mtime,
         path: this.filePath,
-        options: this.options,
+        options: this.getOptions(),
       };
     } catch (err) {
       console.error(
@@ -105,11 +526,22 @@ class PersistenceMiddleware {
   }
 
   incrementVersion() {
-    this.options.version += 1;
+    this.options.version = this.getVersion() + 1;
   }
 
   getVersion() {
-    return this.options.version;
+    return this.options.version ?? 1;
+  }
+
+  registerMigration(version, migration) {
+    this.options.migrations = {
+      ...this.options.migrations,
+      [version]: migration,
+    };
+  }
+
+  getLastError() {
+    return this.lastError;
   }
 
   setFilePath(filePath) {
@@ -120,29 +552,191 @@ class PersistenceMiddleware {
     return this.filePath;
   }
 
-  async backupState(state) {
-    const backupPath = `${this.filePath}.backup`;
+  getBackupOptions() {
+    return { keepDailyFor: 0, ...this.options.backups };
+  }
+
+  getBackupPrefix() {
+    return `${path.basename(this.filePath)}.backup.`;
+  }
+
+  async listBackups() {
+    const directory = path.dirname(this.filePath);
+    const prefix = this.getBackupPrefix();
+    const legacyName = path.basename(`${this.filePath}.backup`);
+
+    let names;
     try {
-      await this.saveState(state);
-      await fs.copyFile(this.filePath, backupPath);
-      return true;
+      names = await fs.readdir(directory);
+    } catch (err) {
+      console.error(
+        'PersistenceMiddleware: Error listing backups:',
+        err.message
+      );
+      return [];
+    }
+
+    const backups = await Promise.all(
+      names
+        .filter(name => name.startsWith(prefix) || name === legacyName)
+        .map(async name => {
+          const backupPath = path.join(directory, name);
+          const id = name === legacyName ? 'legacy' : name.slice(prefix.length);
+          const time = parseBackupTime(id);
+          if (id !== 'legacy' && time === null) {
+            return null;
+          }
+
+          try {
+            const [stats, content] = await Promise.all([
+              fs.stat(backupPath),
+              fs.readFile(backupPath),
+            ]);
+            let version = null;
+            try {
+              ({ version } = this.decodeFileContent(content));
+            } catch {
+              // Unreadable backups are listed without a version.
+            }
+            return {
+              id,
+              path: backupPath,
+              time: time || stats.mtime,
+              size: stats.size,
+              version,
+            };
+          } catch {
+            return null;
+          }
+        })
+    );
+
+    return backups
+      .filter(Boolean)
+      .sort((a, b) => b.time - a.time || (a.id < b.id ? 1 : -1));
+  }
+
+  async writeBackup() {
+    let content;
+    try {
+      content = await fs.readFile(this.filePath);
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        return null;
+      }
+      throw err;
+    }
+
+    let time = Math.max(Date.now(), this.lastBackupTime + 1);
+    let backupPath = `${this.filePath}.backup.${formatBackupId(time)}`;
+    while (await this.fileExists(backupPath)) {
+      time += 1;
+      backupPath = `${this.filePath}.backup.${formatBackupId(time)}`;
+    }
+
+    await atomicWriteFile(backupPath, content);
+    this.lastBackupTime = time;
+    return formatBackupId(time);
+  }
+
+  async createBackup() {
+    try {
+      const id = await this.withLock(() => this.writeBackup());
+      if (id !== null) {
+        await this.pruneBackups();
+      }
+      return id;
     } catch (err) {
       console.error(
         'PersistenceMiddleware: Error creating backup:',
         err.message
       );
+      return null;
+    }
+  }
+
+  async pruneBackups() {
+    const { keepDailyFor, ...options } = this.getBackupOptions();
+    const keepLast = options.keepLast ?? (keepDailyFor ? 0 : Infinity);
+    const backups = (await this.listBackups()).filter(
+      backup => backup.id !== 'legacy'
+    );
+
+    const keep = new Set(backups.slice(0, keepLast).map(backup => backup.id));
+    const cutoff = Date.now() - keepDailyFor * DAY;
+    const days = new Set();
+    backups.forEach(backup => {
+      const day = backup.time.toISOString().slice(0, 10);
+      if (backup.time.getTime() >= cutoff && !days.has(day)) {
+        days.add(day);
+        keep.add(backup.id);
+      }
+    });
+
+    const removed = backups.filter(backup => !keep.has(backup.id));
+    await Promise.all(removed.map(backup => fs.unlink(backup.path)));
+    return removed.map(backup => backup.id);
+  }
+
+  async deleteBackup(id) {
+    const backup = (await this.listBackups()).find(item => item.id === id);
+    if (!backup) {
+      return false;
+    }
+    try {
+      await fs.unlink(backup.path);
+      return true;
+    } catch (err) {
+      console.error(
+        'PersistenceMiddleware: Error deleting backup:',
+        err.message
+      );
       return false;
     }
   }
 
-  async restoreFromBackup() {
-    const backupPath = `${this.filePath}.backup`;
+  startAutoBackup(interval = this.getBackupOptions().interval) {
+    this.stopAutoBackup();
+    if (!interval) {
+      return;
+    }
+    this.backupTimer = setInterval(() => this.createBackup(), interval);
+    if (this.backupTimer.unref) {
+      this.backupTimer.unref();
+    }
+  }
+
+  stopAutoBackup() {
+    if (this.backupTimer) {
+      clearInterval(this.backupTimer);
+      this.backupTimer = null;
+    }
+  }
+
+  async backupState(state) {
+    const saved = this.getJournalOptions()
+      ? await this.compactJournal(state)
+      : await this.writeStateFile(state);
+    if (!saved) {
+      return false;
+    }
+    return (await this.createBackup()) !== null;
+  }
+
+  async restoreFromBackup(id) {
     try {
-      if (await this.fileExists(backupPath)) {
-        await fs.copyFile(backupPath, this.filePath);
-        return await this.loadState();
+      const backups = await this.listBackups();
+      const backup =
+        id === undefined ? backups[0] : backups.find(item => item.id === id);
+      if (!backup) {
+        return null;
       }
-      return null;
+
+      const backupContent = await fs.readFile(backup.path);
+      await this.withLock(() => atomicWriteFile(this.filePath, backupContent));
+      await fs.unlink(this.getJournalPath()).catch(() => {});
+      this.journalState = null;
+      return await this.loadState();
     } catch (err) {
       console.error(
         'PersistenceMiddleware: Error restoring from backup:',
@@ -152,6 +746,229 @@ class PersistenceMiddleware {
     }
   }
 
+  attach(store, { hydrate = true } = {}) {
+    const initialState = store.state;
+    const removeCommitListener = store.onCommit(
+      ({ prevState, nextState, meta }) => {
+        if (meta.source === this) {
+          return;
+        }
+        this.queueAttachedWrite(prevState, nextState);
+      }
+    );
+
+    if (hydrate) {
+      store.deferReady(this.hydrateStore(store, initialState));
+    }
+
+    return () => {
+      removeCommitListener();
+      return this.flush();
+    };
+  }
+
+  queueAttachedWrite(prevState, nextState) {
+    if (this.getWriteBehindOptions()) {
+      return this.scheduleWrite(nextState);
+    }
+    const result = this.attachedWrites.then(() =>
+      this.persistState(prevState, nextState)
+    );
+    this.attachedWrites = result.catch(() => {});
+    return result;
+  }
+
+  async hydrateStore(store, initialState) {
+    if (!(await this.fileExists())) {
+      return false;
+    }
+    const storedState = await this.loadStateWithValidation();
+    if (storedState === null) {
+      return false;
+    }
+
+    const localChanges = createPatches(initialState, store.state).forward;
+    const nextState = applyPatches(
+      this.options.persist ? mergeDeep(initialState, storedState) : storedState,
+      localChanges
+    );
+    await store.setState(nextState, {
+      addToUndoStack: false,
+      label: 'Hydrate',
+      source: this,
+    });
+    if (localChanges.length > 0) {
+      await this.queueAttachedWrite(storedState, nextState);
+    }
+    return true;
+  }
+
+  resolveWatchConflict(conflict, { file, memory, base }) {
+    if (typeof conflict === 'function') {
+      return conflict({ file, memory, base });
+    }
+    if (conflict === 'memory') {
+      return applyPatches(file, createPatches(base, memory).forward);
+    }
+    if (conflict === 'file') {
+      return applyPatches(memory, createPatches(base, file).forward);
+    }
+    throw new Error(`Unknown conflict policy: ${conflict}`);
+  }
+
+  watch(store, options = {}) {
+    const { debounce = 100, conflict = 'file', interval = 1000 } = options;
+    const fileName = path.basename(this.filePath);
+    const watchedPath = this.filePath;
+    let base = this.lastSavedState || this.selectPersistedState(store.state);
+    let lastSeenHash = this.lastWrittenHash;
+    let timer = null;
+    let queue = Promise.resolve();
+    let closed = false;
+
+    const check = async () => {
+      let content;
+      try {
+        content = await fs.readFile(watchedPath);
+      } catch (err) {
+        if (err.code !== 'ENOENT') {
+          console.error(
+            'PersistenceMiddleware: Error reading watched file:',
+            err.message
+          );
+        }
+        return;
+      }
+
+      const hash = hashContent(content);
+      if (closed || hash === lastSeenHash) {
+        return;
+      }
+      lastSeenHash = hash;
+      if (hash === this.lastWrittenHash) {
+        base = this.lastSavedState;
+        return;
+      }
+
+      const file = this.parseFileContent(content);
+      if (file === null || !(await this.validateState(file))) {
+        console.error(
+          'PersistenceMiddleware: Ignoring invalid external change to',
+          watchedPath
+        );
+        return;
+      }
+
+      try {
+        const merged = this.resolveWatchConflict(conflict, {
+          file,
+          memory: store.state,
+          base,
+        });
+        base = file;
+        await store.setState(merged, {
+          addToUndoStack: false,
+          label: 'External change',
+        });
+      } catch (err) {
+        this.lastError = err;
+        console.error(
+          'PersistenceMiddleware: Error applying external change:',
+          err.message
+        );
+      }
+    };
+
+    const schedule = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        queue = queue.then(check);
+      }, debounce);
+    };
+
+    let watcher = null;
+    let polling = false;
+    const startPolling = () => {
+      polling = true;
+      watchFile(watchedPath, { interval, persistent: false }, schedule);
+    };
+
+    try {
+      watcher = watchPath(
+        path.dirname(watchedPath),
+        { persistent: false },
+        (_event, name) => {
+          if (!name || name.toString() === fileName) {
+            schedule();
+          }
+        }
+      );
+      watcher.on('error', () => {
+        watcher.close();
+        watcher = null;
+        if (!closed) {
+          startPolling();
+        }
+      });
+    } catch {
+      startPolling();
+    }
+
+    const unwatch = () => {
+      closed = true;
+      clearTimeout(timer);
+      if (watcher) {
+        watcher.close();
+      }
+      if (polling) {
+        unwatchFile(watchedPath, schedule);
+      }
+      this.watchers.delete(unwatch);
+    };
+    this.watchers.add(unwatch);
+    return unwatch;
+  }
+
+  async rotateKey(encryption) {
+    try {
+      if (this.getJournalOptions() && (await this.fileExists())) {
+        if (!(await this.compactJournal())) {
+          return false;
+        }
+      }
+
+      const currentEnvelope = this.getEnvelope();
+      const nextEnvelope = createEnvelope({
+        compression: this.options.compression,
+        encryption,
+      });
+
+      await this.withLock(async () => {
+        const backups = await this.listBackups();
+        const targets = [];
+        if (await this.fileExists()) {
+          targets.push(this.filePath);
+        }
+        targets.push(...backups.map(backup => backup.path));
+
+        const contents = await Promise.all(
+          targets.map(async target =>
+            currentEnvelope.open(await fs.readFile(target))
+          )
+        );
+        for (let i = 0; i < targets.length; i++) {
+          await atomicWriteFile(targets[i], nextEnvelope.seal(contents[i]));
+        }
+        this.options = { ...this.options, encryption };
+      });
+      return true;
+    } catch (err) {
+      this.lastError = err;
+      console.error('PersistenceMiddleware: Error rotating key:', err.message);
+      return false;
+    }
+  }
+
   async fileExists(filePath = this.filePath) {
     try {
       await fs.access(filePath);
@@ -163,8 +980,19 @@ class PersistenceMiddleware {
 
   async validateState(state) {
     try {
-      const serialized = JSON.stringify(state);
-      JSON.parse(serialized);
+      encodeTypes(state);
+
+      const { schema } = this.options;
+      this.validationErrors = schema ? validateSchema(schema, state) : [];
+      if (this.validationErrors.length > 0) {
+        console.error(
+          'PersistenceMiddleware: State does not match schema:',
+          this.validationErrors
+            .map(({ path, message }) => `${path || '(root)'}: ${message}`)
+            .join('; ')
+        );
+        return false;
+      }
       return true;
     } catch (err) {
       console.error(
@@ -175,6 +1003,14 @@ class PersistenceMiddleware {
     }
   }
 
+  setSchema(schema) {
+    this.options.schema = schema;
+  }
+
+  getValidationErrors() {
+    return [...this.validationErrors];
+  }
+
   async saveStateWithValidation(state) {
     if (await this.validateState(state)) {
       return await this.saveState(state);
@@ -191,7 +1027,7 @@ class PersistenceMiddleware {
   }
 
   getOptions() {
-    return { ...this.options };
+    return redactOptions(this.options);
   }
 
   async getFileSize() {
@@ -214,7 +1050,7 @@ class PersistenceMiddleware {
 
   async truncateFile() {
     try {
-      await fs.truncate(this.filePath, 0);
+      await this.withLock(() => atomicWriteFile(this.filePath, ''));
       return true;
     } catch (err) {
       console.error(
@@ -225,9 +1061,9 @@ class PersistenceMiddleware {
     }
   }
 
-  async appendToFile(content) {
+  async appendToFile(content, filePath = this.filePath) {
     try {
-      await fs.appendFile(this.filePath, content);
+      await this.withLock(() => appendFileDurable(filePath, content), filePath);
       return true;
     } catch (err) {
       console.error(
@@ -253,12 +1089,14 @@ class PersistenceMiddleware {
 
   async writeFileChunk(content, position) {
     try {
-      const fileContent = await fs.readFile(this.filePath, 'utf-8');
-      const newContent =
-        fileContent.substring(0, position) +
-        content +
-        fileContent.substring(position);
-      await fs.writeFile(this.filePath, newContent);
+      await this.withLock(async () => {
+        const fileContent = await fs.readFile(this.filePath, 'utf-8');
+        const newContent =
+          fileContent.substring(0, position) +
+          content +
+          fileContent.substring(position);
+        await atomicWriteFile(this.filePath, newContent);
+      });
       return true;
     } catch (err) {
       console.error(
@@ -0,0 +1,267 @@
+import net from 'net';
+import StateManager from './stateManager.js';
+import { applyPatches } from './patches.js';
+import { createMessageReader, encodeMessage } from './ndjson.js';
+
+class RemoteStateManager extends StateManager {
+  constructor(initialState = {}, options = {}) {
+    super(initialState, { storage: null, ...options });
+    this.connectionOptions = {
+      host: options.host || '127.0.0.1',
+      port: options.port,
+      maxMessageSize: options.maxMessageSize,
+    };
+    this.reconnectOptions =
+      options.reconnect === false
+        ? null
+        : { delay: 100, maxDelay: 5000, ...options.reconnect };
+    this.connectionStatus = 'disconnected';
+    this.connectionStatusListeners = [];
+    this.remoteVersion = 0;
+    this.socket = null;
+    this.lastConnectionError = null;
+    this.reconnectTimer = null;
+    this.reconnectAttempts = 0;
+    this.closed = false;
+    this.requestId = 0;
+    this.pendingRequests = new Map();
+    this.outbox = [];
+
+    this.deferReady(
+      new Promise(resolve => {
+        this.resolveSynced = resolve;
+      })
+    );
+    this.connect();
+  }
+
+  getConnectionStatus() {
+    return this.connectionStatus;
+  }
+
+  isConnected() {
+    return this.connectionStatus === 'connected';
+  }
+
+  setConnectionStatus(status, error) {
+    if (this.connectionStatus === status) {
+      return;
+    }
+    this.connectionStatus = status;
+    this.connectionStatusListeners.forEach(listener => {
+      try {
+        listener({ status, error });
+      } catch (err) {
+        this.handleError(err);
+      }
+    });
+  }
+
+  onConnectionStatus(listener) {
+    this.connectionStatusListeners.push(listener);
+
+    return () => {
+      this.connectionStatusListeners = this.connectionStatusListeners.filter(
+        l => l !== listener
+      );
+    };
+  }
+
+  connect() {
+    if (this.closed || this.socket) {
+      return;
+    }
+
+    const { host, port, maxMessageSize } = this.connectionOptions;
+    const socket = net.createConnection({ host, port });
+    this.socket = socket;
+    this.setConnectionStatus('connecting');
+
+    socket.setEncoding('utf-8');
+    socket.setNoDelay(true);
+    socket.on('connect', () => {
+      this.reconnectAttempts = 0;
+      this.flushOutbox();
+    });
+    socket.on(
+      'data',
+      createMessageReader(
+        message => this.handleMessage(message),
+        err => {
+          this.handleError(err);
+          socket.destroy();
+        },
+        maxMessageSize
+      )
+    );
+    socket.on('error', err => {
+      this.lastConnectionError = err;
+    });
+    socket.on('close', () => this.handleDisconnect(socket));
+  }
+
+  handleDisconnect(socket) {
+    if (this.socket !== socket) {
+      return;
+    }
+    this.socket = null;
+
+    const error = this.lastConnectionError;
+    this.lastConnectionError = null;
+    this.failPendingRequests(
+      new Error('RemoteStateManager: connection lost before the reply'),
+      true
+    );
+    this.setConnectionStatus(this.closed ? 'closed' : 'disconnected', error);
+    this.scheduleReconnect();
+  }
+
+  scheduleReconnect() {
+    if (this.closed || !this.reconnectOptions || this.reconnectTimer) {
+      return;
+    }
+
+    const { delay, maxDelay } = this.reconnectOptions;
+    const wait = Math.min(delay * 2 ** this.reconnectAttempts, maxDelay);
+    this.reconnectAttempts += 1;
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.connect();
+    }, wait);
+  }
+
+  handleMessage(message) {
+    if (message.type === 'snapshot') {
+      this.remoteVersion = message.version;
+      this.applyRemoteState(message.state);
+      this.setConnectionStatus('connected');
+      this.resolveSynced();
+      return;
+    }
+
+    if (message.type === 'patch') {
+      if (message.version !== this.remoteVersion + 1) {
+        this.send({ type: 'sync' });
+        return;
+      }
+      this.remoteVersion = message.version;
+      this.applyRemoteState(applyPatches(this.state, message.patches));
+      return;
+    }
+
+    if (message.type === 'result') {
+      const request = this.pendingRequests.get(message.id);
+      if (!request) {
+        return;
+      }
+      this.pendingRequests.delete(message.id);
+      if (!message.ok) {
+        this.handleError(new Error(`RemoteStateManager: ${message.error}`));
+      }
+      request.resolve(Boolean(message.ok));
+    }
+  }
+
+  applyRemoteState(nextState) {
+    const prevState = this.state;
+    this.prevState = { ...prevState };
+    this.state = nextState;
+    this.notifyListeners(prevState);
+    this.persistStateToStorage();
+    this.notifyCommitListeners(prevState, 'remote', { source: this });
+  }
+
+  send(message) {
+    this.outbox.push({ id: message.id, line: encodeMessage(message) });
+    this.flushOutbox();
+  }
+
+  flushOutbox() {
+    if (!this.socket || this.socket.connecting) {
+      return;
+    }
+    this.outbox.forEach(({ id, line }) => {
+      const request = this.pendingRequests.get(id);
+      if (request) {
+        request.sent = true;
+      }
+      this.socket.write(line);
+    });
+    this.outbox = [];
+  }
+
+  request(message) {
+    if (this.closed) {
+      this.handleError(new Error('RemoteStateManager: store is closed'));
+      return Promise.resolve(false);
+    }
+
+    this.requestId += 1;
+    const id = this.requestId;
+    return new Promise(resolve => {
+      this.pendingRequests.set(id, { resolve, sent: false });
+      try {
+        this.send({ ...message, id });
+      } catch (err) {
+        this.pendingRequests.delete(id);
+        this.handleError(err);
+        resolve(false);
+      }
+    });
+  }
+
+  failPendingRequests(err, sentOnly = false) {
+    this.pendingRequests.forEach((request, id) => {
+      if (sentOnly && !request.sent) {
+        return;
+      }
+      this.pendingRequests.delete(id);
+      this.handleError(err);
+      request.resolve(false);
+    });
+  }
+
+  async applyStateUpdate(nextState, addToUndoStack, action, meta = {}) {
+    return this.request({
+      type: 'set',
+      state: this.stripComputed(nextState),
+      label: meta.label,
+    });
+  }
+
+  async mergeState(partialState) {
+    return this.request({ type: 'merge', state: partialState });
+  }
+
+  async patchState(partialState) {
+    return this.mergeState(partialState);
+  }
+
+  async importOperations() {
+    throw new Error(
+      'RemoteStateManager: import operations on the server store instead'
+    );
+  }
+
+  async close() {
+    this.closed = true;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.outbox = [];
+
+    if (this.socket) {
+      const { socket } = this;
+      await new Promise(resolve => {
+        socket.once('close', resolve);
+        socket.destroy();
+      });
+    }
+    this.setConnectionStatus('closed');
+    this.failPendingRequests(
+      new Error('RemoteStateManager: store closed before the reply')
+    );
+    await super.close();
+  }
+}
+
+export default RemoteStateManager;
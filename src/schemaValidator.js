@@ -0,0 +1,154 @@
+import { deepEqual } from './selectors.js';
+import { formatPath } from './pathUtils.js';
+
+export class StateValidationError extends Error {
+  constructor(errors) {
+    const summary = errors
+      .map(({ path, message }) => `${path || '(root)'}: ${message}`)
+      .join('; ');
+    super(`State validation failed: ${summary}`);
+    this.name = 'StateValidationError';
+    this.errors = errors;
+  }
+}
+
+const getType = value => {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  return typeof value;
+};
+
+const matchesType = (type, value) => {
+  const actual = getType(value);
+  if (type === 'integer') {
+    return Number.isInteger(value);
+  }
+  if (type === 'number') {
+    return actual === 'number' && Number.isFinite(value);
+  }
+  return actual === type;
+};
+
+export function validateSchema(schema, value, path = []) {
+  const errors = [];
+  const report = (keyword, message, errorPath = path) => {
+    errors.push({ path: formatPath(errorPath), keyword, message });
+  };
+
+  if (!schema || typeof schema !== 'object') {
+    return errors;
+  }
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(type, value))) {
+      report(
+        'type',
+        `expected ${types.join(' or ')} but received ${getType(value)}`
+      );
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(option => deepEqual(option, value))) {
+    report(
+      'enum',
+      `must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`
+    );
+  }
+
+  if (schema.const !== undefined && !deepEqual(schema.const, value)) {
+    report('const', `must be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      report('minimum', `must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      report('maximum', `must be <= ${schema.maximum}`);
+    }
+    if (
+      schema.exclusiveMinimum !== undefined &&
+      value <= schema.exclusiveMinimum
+    ) {
+      report('exclusiveMinimum', `must be > ${schema.exclusiveMinimum}`);
+    }
+    if (
+      schema.exclusiveMaximum !== undefined &&
+      value >= schema.exclusiveMaximum
+    ) {
+      report('exclusiveMaximum', `must be < ${schema.exclusiveMaximum}`);
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      report('minLength', `must have at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      report('maxLength', `must have at most ${schema.maxLength} characters`);
+    }
+    if (
+      schema.pattern !== undefined &&
+      !new RegExp(schema.pattern).test(value)
+    ) {
+      report('pattern', `must match pattern ${schema.pattern}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      report('minItems', `must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      report('maxItems', `must have at most ${schema.maxItems} items`);
+    }
+    if (schema.uniqueItems) {
+      const duplicate = value.some((item, index) =>
+        value.slice(index + 1).some(other => deepEqual(item, other))
+      );
+      if (duplicate) {
+        report('uniqueItems', 'must not contain duplicate items');
+      }
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateSchema(schema.items, item, [...path, index]));
+      });
+    }
+  }
+
+  if (getType(value) === 'object') {
+    const properties = schema.properties || {};
+
+    (schema.required || []).forEach(key => {
+      if (!Object.prototype.hasOwnProperty.call(value, key)) {
+        report('required', 'is required', [...path, key]);
+      }
+    });
+
+    Object.keys(value).forEach(key => {
+      if (properties[key]) {
+        errors.push(
+          ...validateSchema(properties[key], value[key], [...path, key])
+        );
+      } else if (schema.additionalProperties === false) {
+        report('additionalProperties', 'is not allowed', [...path, key]);
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(
+          ...validateSchema(schema.additionalProperties, value[key], [
+            ...path,
+            key,
+          ])
+        );
+      }
+    });
+  }
+
+  return errors;
+}
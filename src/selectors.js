@@ -0,0 +1,154 @@
+export const defaultEqualityFn = (a, b) => Object.is(a, b);
+
+export function shallowEqual(a, b) {
+  if (Object.is(a, b)) {
+    return true;
+  }
+
+  if (
+    typeof a !== 'object' ||
+    typeof b !== 'object' ||
+    a === null ||
+    b === null
+  ) {
+    return false;
+  }
+
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+
+  if (keysA.length !== keysB.length) {
+    return false;
+  }
+
+  return keysA.every(
+    key =>
+      Object.prototype.hasOwnProperty.call(b, key) && Object.is(a[key], b[key])
+  );
+}
+
+export function createSelector(...args) {
+  const resultFn = args.pop();
+  const inputSelectors =
+    args.length === 1 && Array.isArray(args[0]) ? args[0] : args;
+
+  if (typeof resultFn !== 'function') {
+    throw new TypeError('createSelector: result function must be a function');
+  }
+
+  if (inputSelectors.some(selector => typeof selector !== 'function')) {
+    throw new TypeError('createSelector: input selectors must be functions');
+  }
+
+  let lastInputs = null;
+  let lastResult;
+  let recomputations = 0;
+
+  const selector = (...params) => {
+    const inputs =
+      inputSelectors.length > 0
+        ? inputSelectors.map(inputSelector => inputSelector(...params))
+        : params;
+
+    if (
+      lastInputs !== null &&
+      lastInputs.length === inputs.length &&
+      inputs.every((input, index) => Object.is(input, lastInputs[index]))
+    ) {
+      return lastResult;
+    }
+
+    lastInputs = inputs;
+    lastResult = resultFn(...inputs);
+    recomputations += 1;
+    return lastResult;
+  };
+
+  selector.resultFn = resultFn;
+  selector.inputSelectors = inputSelectors;
+  selector.recomputations = () => recomputations;
+  selector.resetRecomputations = () => {
+    recomputations = 0;
+  };
+
+  return selector;
+}
+
+export function deepEqual(a, b, visiting = new Map()) {
+  if (Object.is(a, b)) {
+    return true;
+  }
+
+  if (
+    typeof a !== 'object' ||
+    typeof b !== 'object' ||
+    a === null ||
+    b === null ||
+    Array.isArray(a) !== Array.isArray(b)
+  ) {
+    return false;
+  }
+
+  if (visiting.get(a) === b) {
+    return true;
+  }
+
+  if (a instanceof Date || b instanceof Date) {
+    return (
+      a instanceof Date &&
+      b instanceof Date &&
+      Object.is(a.getTime(), b.getTime())
+    );
+  }
+
+  if (a instanceof RegExp || b instanceof RegExp) {
+    return (
+      a instanceof RegExp &&
+      b instanceof RegExp &&
+      a.source === b.source &&
+      a.flags === b.flags
+    );
+  }
+
+  visiting.set(a, b);
+  try {
+    if (a instanceof Map || b instanceof Map) {
+      return (
+        a instanceof Map &&
+        b instanceof Map &&
+        a.size === b.size &&
+        [...a].every(
+          ([key, value]) => b.has(key) && deepEqual(value, b.get(key), visiting)
+        )
+      );
+    }
+
+    if (a instanceof Set || b instanceof Set) {
+      return (
+        a instanceof Set &&
+        b instanceof Set &&
+        a.size === b.size &&
+        [...a].every(
+          value =>
+            b.has(value) ||
+            [...b].some(other => deepEqual(value, other, visiting))
+        )
+      );
+    }
+
+    const keysA = Object.keys(a);
+    const keysB = Object.keys(b);
+
+    if (keysA.length !== keysB.length) {
+      return false;
+    }
+
+    return keysA.every(
+      key =>
+        Object.prototype.hasOwnProperty.call(b, key) &&
+        deepEqual(a[key], b[key], visiting)
+    );
+  } finally {
+    visiting.delete(a);
+  }
+}
@@ -0,0 +1,241 @@
+export const TYPE_KEY = '$type';
+
+const types = new Map();
+let lookupOrder = [];
+
+const hasOwn = (target, key) =>
+  Object.prototype.hasOwnProperty.call(target, key);
+
+const isContainer = value =>
+  Array.isArray(value) || value instanceof Map || value instanceof Set;
+
+const isTagged = value =>
+  typeof value === 'object' &&
+  value !== null &&
+  !Array.isArray(value) &&
+  typeof value[TYPE_KEY] === 'string';
+
+export function registerType(name, type) {
+  if (
+    !type ||
+    typeof type.test !== 'function' ||
+    typeof type.serialize !== 'function' ||
+    typeof type.deserialize !== 'function'
+  ) {
+    throw new TypeError(
+      `Type "${name}" must implement test(value), serialize(value) and deserialize(data)`
+    );
+  }
+  types.delete(name);
+  types.set(name, { ...type, name });
+  lookupOrder = [...types.values()].reverse();
+}
+
+export function getTypeNames() {
+  return [...types.keys()];
+}
+
+const findType = value => lookupOrder.find(type => type.test(value)) || null;
+
+export function encodeTypes(value) {
+  const ancestors = new Map();
+  let nextId = 0;
+
+  const encode = current => {
+    if (typeof current === 'function' || typeof current === 'symbol') {
+      throw new TypeError(`Cannot serialize a value of type ${typeof current}`);
+    }
+
+    const type = findType(current);
+    if (type) {
+      return { [TYPE_KEY]: type.name, value: encode(type.serialize(current)) };
+    }
+    if (typeof current !== 'object' || current === null) {
+      return current;
+    }
+    if (ancestors.has(current)) {
+      return { [TYPE_KEY]: 'Ref', value: ancestors.get(current) };
+    }
+
+    ancestors.set(current, nextId++);
+    try {
+      if (Array.isArray(current)) {
+        return current.map(encode);
+      }
+      if (current instanceof Map) {
+        return {
+          [TYPE_KEY]: 'Map',
+          value: [...current].map(([key, item]) => [encode(key), encode(item)]),
+        };
+      }
+      if (current instanceof Set) {
+        return { [TYPE_KEY]: 'Set', value: [...current].map(encode) };
+      }
+
+      const result = {};
+      Object.keys(current).forEach(key => {
+        result[key] = encode(current[key]);
+      });
+      return hasOwn(current, TYPE_KEY)
+        ? { [TYPE_KEY]: 'Object', value: result }
+        : result;
+    } finally {
+      ancestors.delete(current);
+    }
+  };
+
+  return encode(value);
+}
+
+export function decodeTypes(data) {
+  const refs = [];
+
+  const fill = (target, entries) => {
+    Object.keys(entries).forEach(key => {
+      target[key] = decode(entries[key]);
+    });
+    return target;
+  };
+
+  const decode = current => {
+    if (typeof current !== 'object' || current === null) {
+      return current;
+    }
+
+    if (Array.isArray(current)) {
+      const result = [];
+      refs.push(result);
+      current.forEach(item => result.push(decode(item)));
+      return result;
+    }
+
+    if (!isTagged(current)) {
+      const result = {};
+      refs.push(result);
+      return fill(result, current);
+    }
+
+    const { [TYPE_KEY]: name, value } = current;
+    if (name === 'Ref') {
+      return refs[value];
+    }
+    if (name === 'Map') {
+      const result = new Map();
+      refs.push(result);
+      value.forEach(([key, item]) => result.set(decode(key), decode(item)));
+      return result;
+    }
+    if (name === 'Set') {
+      const result = new Set();
+      refs.push(result);
+      value.forEach(item => result.add(decode(item)));
+      return result;
+    }
+    if (name === 'Object') {
+      const result = {};
+      refs.push(result);
+      return fill(result, value);
+    }
+
+    const type = types.get(name);
+    if (!type) {
+      throw new TypeError(`Unknown serialized type "${name}"`);
+    }
+    return type.deserialize(decode(value));
+  };
+
+  return decode(data);
+}
+
+export function serialize(value, spaces) {
+  return JSON.stringify(encodeTypes(value), null, spaces);
+}
+
+export function deserialize(text) {
+  return decodeTypes(JSON.parse(text));
+}
+
+export function cloneDeep(value) {
+  const copies = new Map();
+
+  const clone = current => {
+    if (typeof current !== 'object' || current === null) {
+      return current;
+    }
+    if (copies.has(current)) {
+      return copies.get(current);
+    }
+
+    const type = isContainer(current) ? null : findType(current);
+    if (type) {
+      const copy = type.clone
+        ? type.clone(current)
+        : type.deserialize(clone(type.serialize(current)));
+      copies.set(current, copy);
+      return copy;
+    }
+
+    if (Array.isArray(current)) {
+      const copy = [];
+      copies.set(current, copy);
+      current.forEach(item => copy.push(clone(item)));
+      return copy;
+    }
+    if (current instanceof Map) {
+      const copy = new Map();
+      copies.set(current, copy);
+      current.forEach((item, key) => copy.set(clone(key), clone(item)));
+      return copy;
+    }
+    if (current instanceof Set) {
+      const copy = new Set();
+      copies.set(current, copy);
+      current.forEach(item => copy.add(clone(item)));
+      return copy;
+    }
+
+    const copy = Object.create(Object.getPrototypeOf(current));
+    copies.set(current, copy);
+    Object.keys(current).forEach(key => {
+      copy[key] = clone(current[key]);
+    });
+    return copy;
+  };
+
+  return clone(value);
+}
+
+registerType('undefined', {
+  test: value => value === undefined,
+  serialize: () => null,
+  deserialize: () => undefined,
+});
+
+registerType('Number', {
+  test: value =>
+    typeof value === 'number' &&
+    (!Number.isFinite(value) || Object.is(value, -0)),
+  serialize: value => (Object.is(value, -0) ? '-0' : String(value)),
+  deserialize: data => Number(data),
+});
+
+registerType('BigInt', {
+  test: value => typeof value === 'bigint',
+  serialize: value => value.toString(),
+  deserialize: data => BigInt(data),
+});
+
+registerType('Date', {
+  test: value => value instanceof Date,
+  serialize: value =>
+    Number.isNaN(value.getTime()) ? null : value.toISOString(),
+  deserialize: data => new Date(data === null ? NaN : data),
+  clone: value => new Date(value.getTime()),
+});
+
+registerType('RegExp', {
+  test: value => value instanceof RegExp,
+  serialize: value => ({ source: value.source, flags: value.flags }),
+  deserialize: ({ source, flags }) => new RegExp(source, flags),
+  clone: value => new RegExp(value.source, value.flags),
+});
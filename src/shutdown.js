@@ -0,0 +1,58 @@
+const SIGNALS = ['SIGINT', 'SIGTERM'];
+const flushHandlers = new Set();
+let installed = false;
+
+const hasProcess = () =>
+  typeof process !== 'undefined' && typeof process.on === 'function';
+
+const flushAll = () =>
+  Promise.all(
+    [...flushHandlers].map(flush =>
+      Promise.resolve()
+        .then(flush)
+        .catch(() => {})
+    )
+  );
+
+function onBeforeExit() {
+  if (flushHandlers.size > 0) {
+    flushAll();
+  }
+}
+
+function onSignal(signal) {
+  flushAll().finally(() => {
+    uninstall();
+    process.kill(process.pid, signal);
+  });
+}
+
+function install() {
+  if (installed || !hasProcess()) {
+    return;
+  }
+  process.on('beforeExit', onBeforeExit);
+  SIGNALS.forEach(signal => process.on(signal, onSignal));
+  installed = true;
+}
+
+function uninstall() {
+  if (!installed) {
+    return;
+  }
+  process.removeListener('beforeExit', onBeforeExit);
+  SIGNALS.forEach(signal => process.removeListener(signal, onSignal));
+  installed = false;
+}
+
+export function registerFlushOnExit(flush) {
+  flushHandlers.add(flush);
+  install();
+
+  return () => {
+    flushHandlers.delete(flush);
+    if (flushHandlers.size === 0) {
+      uninstall();
+    }
+  };
+}
@@ -1,13 +1,46 @@
+import { defaultEqualityFn, deepEqual } from './selectors.js';
+import {
+  expandPaths,
+  formatPath,
+  getIn,
+  hasPathChanged,
+  mergeDeep,
+  pickPaths,
+} from './pathUtils.js';
+import { applyPatches, createPatches, estimatePatchSize } from './patches.js';
+import { StateValidationError, validateSchema } from './schemaValidator.js';
+import ComputedProperty from './computed.js';
+import { createDefaultStorageAdapter } from './storageAdapters.js';
+import { registerFlushOnExit } from './shutdown.js';
+import { cloneDeep, deserialize, serialize } from './serializer.js';
+import TabSync from './tabSync.js';
+import CrdtDocument from './crdt.js';
+
+const ASYNC_POLICIES = ['takeLatest', 'takeEvery', 'takeLeading'];
+
 class StateManager {
-  constructor(initialState = {}) {
+  constructor(initialState = {}, options = {}) {
     this.state = initialState;
     this.initialState = { ...initialState };
     this.listeners = [];
+    this.commitListeners = [];
+    this.selectorListeners = [];
     this.middlewares = [];
     this.eventListeners = {};
     this.undoStack = [];
     this.redoStack = [];
+    this.historyBytes = 0;
+    this.historyGroup = null;
+    this.historyLimit = {
+      maxEntries: 100,
+      maxBytes: Infinity,
+      ...options.history,
+    };
     this.prevState = { ...initialState };
+    this.schema = options.schema || null;
+    this.computedProperties = {};
+    this.computedSnapshot = {};
+    this.evaluatingComputed = new Set();
 
     this.debounceTimeout = null;
     this.debounceDelay = 200;
@@ -15,59 +48,412 @@ class StateManager {
     this.batchUpdateQueue = [];
 
     this.deepStateComparison = false;
-    this.localStorageKey = '1cbycStateManagerState';
-    this.initializeStateFromLocalStorage();
+    this.localStorageKey = options.storageKey || '1cbycStateManagerState';
+    this.storage =
+      options.storage === undefined
+        ? createDefaultStorageAdapter()
+        : options.storage || null;
+    this.storageWrite = Promise.resolve();
+    this.pendingStorageWrites = 0;
+    this.persistPaths = options.persist || null;
+    this.storageWriteBehind = null;
+    if (options.writeBehind) {
+      this.storageWriteBehind = {
+        interval: 1000,
+        ...(options.writeBehind === true ? {} : options.writeBehind),
+      };
+    }
+    this.storageTimer = null;
+    this.storageDirty = false;
+    this.unregisterStorageFlush = null;
+    this.ready = false;
+    this.pendingReadyTasks = 0;
+    this.readyPromise = null;
 
     this.errorHandler = null;
+    this.asyncActions = new Map();
+    this.asyncStatusListeners = [];
+    this.optimisticLayers = [];
+    this.optimisticLayerId = 0;
+    this.initializeStateFromStorage();
+
+    this.crdt = null;
+    if (options.crdt) {
+      this.crdt = new CrdtDocument(
+        this.state,
+        options.crdt === true ? {} : options.crdt
+      );
+      this.onCommit(({ prevState, nextState, meta }) => {
+        if (meta.source !== this.crdt) {
+          this.crdt.recordChanges(prevState, nextState);
+        }
+      });
+    }
+
+    this.tabSync = null;
+    if (options.sync) {
+      this.tabSync = new TabSync(options.sync === true ? {} : options.sync);
+      this.use(this.tabSync);
+    }
   }
 
   getState() {
-    return this.deepStateComparison
-      ? JSON.parse(JSON.stringify(this.state))
-      : { ...this.state };
+    const view = this.getStateView();
+    return this.deepStateComparison ? cloneDeep(view) : view;
+  }
+
+  getStateView(
+    state = this.state,
+    computedValues = this.evaluateComputed(),
+    layers = this.optimisticLayers
+  ) {
+    return { ...this.applyOptimisticLayers(state, layers), ...computedValues };
+  }
+
+  getCommittedState() {
+    const computedValues =
+      this.optimisticLayers.length > 0
+        ? this.evaluateComputedFor(this.state)
+        : this.evaluateComputed();
+    const view = this.getStateView(this.state, computedValues, []);
+    return this.deepStateComparison ? cloneDeep(view) : view;
+  }
+
+  evaluateComputedFor(state) {
+    const values = {};
+    const resolve = name => {
+      if (!Object.prototype.hasOwnProperty.call(values, name)) {
+        values[name] = undefined;
+        const property = new ComputedProperty(
+          name,
+          this.computedProperties[name].fn
+        );
+        try {
+          values[name] = property.evaluate(state, key =>
+            this.computedProperties[key] ? { value: resolve(key) } : undefined
+          );
+        } catch (err) {
+          this.handleError(err);
+        }
+      }
+      return values[name];
+    };
+
+    Object.keys(this.computedProperties).forEach(resolve);
+    return values;
+  }
+
+  applyOptimisticLayers(state = this.state, layers = this.optimisticLayers) {
+    return layers.reduce(
+      (current, layer) => ({
+        ...current,
+        ...this.resolveOptimisticPatch(layer.patch, current),
+      }),
+      state
+    );
+  }
+
+  resolveOptimisticPatch(patch, state) {
+    return typeof patch === 'function' ? patch(state) : patch;
+  }
+
+  async optimistic(patch, promiseFn, options = {}) {
+    this.optimisticLayerId += 1;
+    const layer = { id: this.optimisticLayerId, patch };
+    this.setOptimisticLayers([...this.optimisticLayers, layer]);
+
+    let result;
+    try {
+      result = await (typeof promiseFn === 'function'
+        ? promiseFn()
+        : promiseFn);
+    } catch (err) {
+      this.removeOptimisticLayer(layer);
+      throw err;
+    }
+
+    let committed = false;
+    try {
+      const partialState = this.resolveOptimisticPatch(patch, this.state);
+      const nextState = this.deepStateComparison
+        ? cloneDeep({ ...this.state, ...partialState })
+        : { ...this.state, ...partialState };
+      committed = await this.applyStateUpdate(nextState, true, 'optimistic', {
+        label: options.label,
+        optimisticLayer: layer.id,
+      });
+    } finally {
+      this.removeOptimisticLayer(layer);
+    }
+
+    if (!committed) {
+      const error = new Error(
+        'StateManager: optimistic update was rejected when committed'
+      );
+      error.result = result;
+      throw error;
+    }
+    return result;
+  }
+
+  setOptimisticLayers(layers) {
+    const prevLayers = this.optimisticLayers;
+    this.optimisticLayers = layers;
+    this.notifyListeners(this.state, prevLayers);
+  }
+
+  removeOptimisticLayer(layer) {
+    if (this.optimisticLayers.includes(layer)) {
+      this.setOptimisticLayers(this.optimisticLayers.filter(l => l !== layer));
+    }
+  }
+
+  getOptimisticUpdateCount() {
+    return this.optimisticLayers.length;
+  }
+
+  computed(name, fn) {
+    this.computedProperties[name] = new ComputedProperty(name, fn);
+    this.computedSnapshot[name] = this.getComputedValue(name);
+
+    return () => this.removeComputed(name);
+  }
+
+  removeComputed(name) {
+    delete this.computedProperties[name];
+    delete this.computedSnapshot[name];
+  }
+
+  getComputedValue(name) {
+    const property = this.computedProperties[name];
+    if (!property) {
+      return undefined;
+    }
+
+    const state = this.applyOptimisticLayers();
+    if (property.isStale(state)) {
+      if (this.evaluatingComputed.has(name)) {
+        throw new Error(`StateManager: circular computed property "${name}"`);
+      }
+
+      this.evaluatingComputed.add(name);
+      try {
+        property.evaluate(state, (key, dependencies) =>
+          this.resolveComputedDependency(key, dependencies)
+        );
+      } catch (err) {
+        if (this.evaluatingComputed.size > 1) {
+          throw err;
+        }
+        this.handleError(err);
+      } finally {
+        this.evaluatingComputed.delete(name);
+      }
+    }
+
+    return property.value;
+  }
+
+  resolveComputedDependency(key, dependencies) {
+    const property = this.computedProperties[key];
+    if (!property) {
+      return undefined;
+    }
+
+    const value = this.getComputedValue(key);
+    property.dependencies.forEach((dependencyValue, dependencyKey) => {
+      dependencies.set(dependencyKey, dependencyValue);
+    });
+    return { value };
+  }
+
+  evaluateComputed() {
+    const values = {};
+    Object.keys(this.computedProperties).forEach(name => {
+      values[name] = this.getComputedValue(name);
+    });
+    return values;
   }
 
-  async setState(newState, addToUndoStack = true, debounce = false) {
+  stripComputed(state) {
+    const names = Object.keys(this.computedProperties);
+    if (
+      names.length === 0 ||
+      !names.some(name => Object.prototype.hasOwnProperty.call(state, name))
+    ) {
+      return state;
+    }
+
+    const stripped = { ...state };
+    names.forEach(name => delete stripped[name]);
+    return stripped;
+  }
+
+  async setState(newState, addToUndoStack = true, debounce = false, meta = {}) {
+    if (typeof addToUndoStack === 'object' && addToUndoStack !== null) {
+      const options = addToUndoStack;
+      return this.setState(
+        newState,
+        options.addToUndoStack !== false,
+        Boolean(options.debounce),
+        { label: options.label, source: options.source }
+      );
+    }
+
     try {
       const nextState = this.deepStateComparison
-        ? JSON.parse(JSON.stringify(newState))
+        ? cloneDeep(newState)
         : { ...newState };
 
       if (debounce) {
         clearTimeout(this.debounceTimeout);
         this.debounceTimeout = setTimeout(async () => {
-          await this.applyStateUpdate(nextState, addToUndoStack);
+          await this.applyStateUpdate(
+            nextState,
+            addToUndoStack,
+            'setState',
+            meta
+          );
         }, this.debounceDelay);
-      } else {
-        await this.applyStateUpdate(nextState, addToUndoStack);
+        return true;
       }
+      return await this.applyStateUpdate(
+        nextState,
+        addToUndoStack,
+        'setState',
+        meta
+      );
     } catch (err) {
       this.handleError(err);
+      return false;
     }
   }
 
-  async applyStateUpdate(nextState, addToUndoStack) {
+  async applyStateUpdate(
+    nextState,
+    addToUndoStack,
+    action = 'setState',
+    meta = {}
+  ) {
     try {
-      await this.applyMiddlewares(this.prevState, nextState);
-
-      if (addToUndoStack) {
-        this.undoStack.push(
-          this.deepStateComparison
-            ? JSON.parse(JSON.stringify(this.state))
-            : { ...this.state }
+      const context = this.createMiddlewareContext(action, nextState, meta);
+      return await this.runMiddlewares(context, () => {
+        const committedState = this.stripComputed(context.nextState);
+        this.assertValidState(committedState);
+        this.commitState(
+          committedState,
+          addToUndoStack,
+          context.meta,
+          context.action
         );
-        this.redoStack = [];
+      });
+    } catch (err) {
+      this.handleError(err);
+      return false;
+    }
+  }
+
+  commitState(nextState, addToUndoStack, meta = {}, action = 'setState') {
+    const prevState = this.state;
+    const prevLayers = this.optimisticLayers;
+    if (meta.optimisticLayer) {
+      this.optimisticLayers = prevLayers.filter(
+        layer => layer.id !== meta.optimisticLayer
+      );
+    }
+
+    if (addToUndoStack) {
+      this.recordHistory(prevState, nextState, meta.label);
+    }
+
+    this.prevState = this.deepStateComparison
+      ? cloneDeep(this.state)
+      : { ...this.state };
+
+    this.state = nextState;
+    this.notifyListeners(prevState, prevLayers);
+    this.persistStateToStorage();
+    this.notifyCommitListeners(prevState, action, meta);
+  }
+
+  onCommit(listener) {
+    this.commitListeners.push(listener);
+
+    return () => {
+      this.commitListeners = this.commitListeners.filter(l => l !== listener);
+    };
+  }
+
+  notifyCommitListeners(prevState, action, meta = {}) {
+    const commit = { action, prevState, nextState: this.state, meta };
+    this.commitListeners.forEach(listener => {
+      try {
+        const result = listener(commit);
+        if (result && typeof result.catch === 'function') {
+          result.catch(err => this.handleError(err));
+        }
+      } catch (err) {
+        this.handleError(err);
+      }
+    });
+  }
+
+  use(plugin) {
+    const teardown =
+      typeof plugin === 'function' ? plugin(this) : plugin.attach(this);
+
+    return () => {
+      if (typeof teardown === 'function') {
+        return teardown();
       }
+      return undefined;
+    };
+  }
+
+  assertCrdtEnabled() {
+    if (!this.crdt) {
+      throw new Error('StateManager: CRDT mode is not enabled');
+    }
+  }
 
-      this.prevState = this.deepStateComparison
-        ? JSON.parse(JSON.stringify(this.state))
-        : { ...this.state };
+  exportOperations(options) {
+    this.assertCrdtEnabled();
+    return this.crdt.exportOperations(options);
+  }
 
-      this.state = nextState;
-      this.notifyListeners();
-      this.persistStateToLocalStorage();
+  async importOperations(operations) {
+    this.assertCrdtEnabled();
+    try {
+      const applied = this.crdt.importOperations(operations);
+      if (applied > 0) {
+        await this.applyStateUpdate(this.crdt.toState(), false, 'crdt', {
+          label: 'CRDT merge',
+          source: this.crdt,
+        });
+      }
+      return applied;
     } catch (err) {
       this.handleError(err);
+      return 0;
+    }
+  }
+
+  setSchema(schema) {
+    this.schema = schema;
+  }
+
+  getSchema() {
+    return this.schema;
+  }
+
+  getValidationErrors(state = this.state) {
+    return this.schema ? validateSchema(this.schema, state) : [];
+  }
+
+  assertValidState(state) {
+    const errors = this.getValidationErrors(state);
+    if (errors.length > 0) {
+      throw new StateValidationError(errors);
     }
   }
 
@@ -79,6 +465,22 @@ class StateManager {
     };
   }
 
+  select(selector, listener, equalityFn = defaultEqualityFn) {
+    const subscription = {
+      selector,
+      listener,
+      equalityFn,
+      value: selector(this.getStateView()),
+    };
+    this.selectorListeners.push(subscription);
+
+    return () => {
+      this.selectorListeners = this.selectorListeners.filter(
+        s => s !== subscription
+      );
+    };
+  }
+
   on(eventName, callback) {
     if (!this.eventListeners[eventName]) {
       this.eventListeners[eventName] = [];
@@ -96,21 +498,107 @@ class StateManager {
     this.middlewares.push({ middleware, enabled: true, options });
   }
 
-  async applyMiddlewares(prevState, nextState) {
-    const enabledMiddlewares = this.middlewares
+  createMiddlewareContext(action, nextState, meta = {}) {
+    const context = {
+      action,
+      prevState: this.getCommittedState(),
+      nextState,
+      meta: { ...meta },
+      cancelled: false,
+      cancelReason: null,
+      store: this,
+      cancel(reason = null) {
+        context.cancelled = true;
+        context.cancelReason = reason;
+      },
+    };
+    return context;
+  }
+
+  getPipelineMiddlewares() {
+    return this.middlewares
       .filter(m => m.enabled)
-      .map(m => m.middleware);
+      .map(({ middleware, options }) => {
+        const run = this.adaptMiddleware(middleware, options);
+        if (!options || !options.selective) {
+          return run;
+        }
+        return (context, next) => {
+          const keys = options.keys || ['*'];
+          const prevState = this.stripComputed(context.prevState);
+          const nextState = this.stripComputed(context.nextState);
+          const changed = keys.some(key =>
+            hasPathChanged(key, prevState, nextState)
+          );
+          return changed ? run(context, next) : next();
+        };
+      });
+  }
 
-    for (const middleware of enabledMiddlewares) {
-      try {
-        await middleware(prevState, nextState);
-      } catch (error) {
-        this.handleError(error);
-      }
+  adaptMiddleware(middleware, options) {
+    if (options && options.pipeline) {
+      return middleware;
     }
+    return async (context, next) => {
+      await middleware(context.prevState, context.nextState);
+      return next();
+    };
+  }
+
+  async runMiddlewares(context, commit) {
+    const pipeline = this.getPipelineMiddlewares();
+    let committed = false;
+    let lastIndex = -1;
+
+    const commitOnce = async () => {
+      if (!committed && !context.cancelled) {
+        committed = true;
+        await commit();
+      }
+    };
+
+    const dispatch = async index => {
+      if (index <= lastIndex) {
+        throw new Error('StateManager: next() called multiple times');
+      }
+      lastIndex = index;
+
+      if (context.cancelled) {
+        return;
+      }
+
+      if (index === pipeline.length) {
+        await commitOnce();
+        return;
+      }
+
+      let nextCalled = false;
+      await pipeline[index](context, () => {
+        nextCalled = true;
+        return dispatch(index + 1);
+      });
+
+      if (!nextCalled) {
+        await commitOnce();
+      }
+    };
+
+    await dispatch(0);
+    return committed;
   }
 
-  notifyListeners() {
+  notifyListeners(
+    prevState = this.prevState,
+    prevLayers = this.optimisticLayers
+  ) {
+    const prevView = this.getStateView(
+      prevState,
+      this.computedSnapshot,
+      prevLayers
+    );
+    this.computedSnapshot = this.evaluateComputed();
+    const nextView = this.getStateView(this.state, this.computedSnapshot);
+
     this.listeners.forEach(listener => {
       try {
         listener(this.getState());
@@ -119,109 +607,415 @@ class StateManager {
       }
     });
 
+    if (this.selectorListeners.length > 0) {
+      const copy = value =>
+        this.deepStateComparison ? cloneDeep(value) : value;
+      this.selectorListeners.forEach(subscription => {
+        try {
+          const value = subscription.selector(nextView);
+          const isEqual =
+            this.deepStateComparison &&
+            subscription.equalityFn === defaultEqualityFn
+              ? deepEqual
+              : subscription.equalityFn;
+          if (!isEqual(subscription.value, value)) {
+            const prevValue = subscription.value;
+            subscription.value = value;
+            subscription.listener(copy(value), copy(prevValue));
+          }
+        } catch (err) {
+          this.handleError(err);
+        }
+      });
+    }
+
     Object.keys(this.eventListeners).forEach(eventName => {
-      if (this.state[eventName] !== undefined) {
-        this.eventListeners[eventName].forEach(callback => {
+      const callbacks = this.eventListeners[eventName];
+      if (callbacks.length === 0) {
+        return;
+      }
+
+      expandPaths(eventName, prevView, nextView).forEach(segments => {
+        const oldValue = getIn(prevView, segments);
+        const newValue = getIn(nextView, segments);
+        if (deepEqual(oldValue, newValue)) {
+          return;
+        }
+
+        const path = formatPath(segments);
+        callbacks.forEach(callback => {
           try {
-            callback(this.state[eventName]);
+            callback(newValue, oldValue, path);
           } catch (err) {
             this.handleError(err);
           }
         });
-      }
+      });
     });
   }
 
   async resetState() {
-    const prevState = this.deepStateComparison
-      ? JSON.parse(JSON.stringify(this.state))
-      : { ...this.state };
-
-    this.state = this.deepStateComparison
-      ? JSON.parse(JSON.stringify(this.initialState))
-      : { ...this.initialState };
-
-    this.prevState = this.deepStateComparison
-      ? JSON.parse(JSON.stringify(this.initialState))
+    const nextState = this.deepStateComparison
+      ? cloneDeep(this.initialState)
       : { ...this.initialState };
 
-    await this.applyMiddlewares(prevState, this.state);
-    this.notifyListeners();
-    this.persistStateToLocalStorage();
+    return await this.applyStateUpdate(nextState, false, 'resetState');
   }
 
   async setStateAsync(newState, addToUndoStack = true) {
+    const outcome = await this.runAsync(
+      'setStateAsync',
+      async (signal, { set }) =>
+        set(
+          await (typeof newState === 'function' ? newState(signal) : newState),
+          addToUndoStack
+        ),
+      { policy: 'takeEvery' }
+    );
+
+    if (outcome.status === 'rejected') {
+      this.handleError(outcome.error);
+    }
+    return outcome.status === 'fulfilled' && outcome.result !== false;
+  }
+
+  runAsync(name, fn, options = {}) {
+    const policy = options.policy || 'takeLatest';
+    if (!ASYNC_POLICIES.includes(policy)) {
+      throw new TypeError(`StateManager: unknown async policy "${policy}"`);
+    }
+
+    const action = this.getAsyncAction(name);
+    if (policy === 'takeLeading' && action.runs.size > 0) {
+      return [...action.runs][0].promise;
+    }
+    if (policy === 'takeLatest') {
+      action.runs.forEach(run => {
+        run.superseded = true;
+        run.controller.abort();
+      });
+      action.runs.clear();
+    }
+
+    const controller = new AbortController();
+    const { signal } = controller;
+    if (options.signal) {
+      if (options.signal.aborted) {
+        controller.abort(options.signal.reason);
+      } else {
+        options.signal.addEventListener(
+          'abort',
+          () => controller.abort(options.signal.reason),
+          { once: true }
+        );
+      }
+    }
+
+    const whileActive = (method, args) =>
+      signal.aborted ? Promise.resolve(false) : method.apply(this, args);
+    const helpers = {
+      set: (...args) => whileActive(this.setState, args),
+      merge: (...args) => whileActive(this.mergeState, args),
+      patch: (...args) => whileActive(this.patchState, args),
+      getState: () => this.getState(),
+    };
+
+    const run = { controller, promise: null, superseded: false };
+    action.runs.add(run);
+    this.updateAsyncStatus(name, { status: 'pending', error: null });
+
+    const settle = outcome =>
+      this.settleAsyncRun(
+        name,
+        run,
+        signal.aborted ? { status: 'aborted' } : outcome
+      );
+    run.promise = new Promise(resolve => resolve(fn(signal, helpers))).then(
+      result => settle({ status: 'fulfilled', result }),
+      error => settle({ status: 'rejected', error })
+    );
+    return run.promise;
+  }
+
+  getAsyncAction(name) {
+    if (!this.asyncActions.has(name)) {
+      this.asyncActions.set(name, {
+        runs: new Set(),
+        record: { status: 'idle', error: null, result: undefined },
+      });
+    }
+    return this.asyncActions.get(name);
+  }
+
+  settleAsyncRun(name, run, outcome) {
+    const action = this.getAsyncAction(name);
+    action.runs.delete(run);
+
+    const stale =
+      outcome.status === 'aborted' && (run.superseded || action.runs.size > 0);
+    if (!stale) {
+      this.updateAsyncStatus(name, {
+        status: action.runs.size > 0 ? 'pending' : outcome.status,
+        error: outcome.error || null,
+        result: outcome.result,
+      });
+    }
+    return outcome;
+  }
+
+  updateAsyncStatus(name, changes) {
+    const action = this.getAsyncAction(name);
+    action.record = { ...action.record, ...changes };
+    const status = { name, ...this.getAsyncStatus(name) };
+    this.asyncStatusListeners.forEach(listener => {
+      try {
+        listener(status);
+      } catch (err) {
+        this.handleError(err);
+      }
+    });
+  }
+
+  onAsyncStatus(listener) {
+    this.asyncStatusListeners.push(listener);
+
+    return () => {
+      this.asyncStatusListeners = this.asyncStatusListeners.filter(
+        l => l !== listener
+      );
+    };
+  }
+
+  getAsyncStatus(name) {
+    const action = this.asyncActions.get(name);
+    if (!action) {
+      return { status: 'idle', error: null, result: undefined, pending: 0 };
+    }
+    return { ...action.record, pending: action.runs.size };
+  }
+
+  abortAsync(name, reason) {
+    const actions = name
+      ? [this.asyncActions.get(name)].filter(Boolean)
+      : [...this.asyncActions.values()];
+    actions.forEach(action => {
+      action.runs.forEach(run => run.controller.abort(reason));
+    });
+  }
+
+  recordHistory(prevState, nextState, label = null) {
+    const patches = createPatches(prevState, nextState);
+    const { forward, inverse } = this.deepStateComparison
+      ? cloneDeep(patches)
+      : patches;
+    const size = estimatePatchSize(forward) + estimatePatchSize(inverse);
+
+    this.redoStack.forEach(entry => {
+      this.historyBytes -= entry.size;
+    });
+    this.redoStack = [];
+    this.historyBytes += size;
+
+    const group = this.historyGroup;
+    if (group && group.entry) {
+      group.entry.forward = [...group.entry.forward, ...forward];
+      group.entry.inverse = [...inverse, ...group.entry.inverse];
+      group.entry.size += size;
+      group.entry.timestamp = Date.now();
+      group.entry.label = group.entry.label || label;
+    } else {
+      const entry = {
+        forward,
+        inverse,
+        size,
+        timestamp: Date.now(),
+        label: (group && group.label) || label || null,
+      };
+      this.undoStack.push(entry);
+      if (group) {
+        group.entry = entry;
+      }
+    }
+
+    this.enforceHistoryLimit();
+  }
+
+  startHistoryGroup(label = null) {
+    if (this.historyGroup) {
+      this.historyGroup.depth += 1;
+      return;
+    }
+    this.historyGroup = { label, entry: null, depth: 1 };
+  }
+
+  endHistoryGroup() {
+    if (!this.historyGroup) {
+      return;
+    }
+    this.historyGroup.depth -= 1;
+    if (this.historyGroup.depth === 0) {
+      this.historyGroup = null;
+    }
+  }
+
+  async groupHistory(label, fn) {
+    this.startHistoryGroup(label);
     try {
-      await new Promise(resolve => setTimeout(resolve, 100));
-      this.setState(newState, addToUndoStack);
-    } catch (err) {
-      this.handleError(err);
+      return await fn();
+    } finally {
+      this.endHistoryGroup();
     }
   }
 
+  enforceHistoryLimit() {
+    const { maxEntries, maxBytes } = this.historyLimit;
+    while (
+      this.undoStack.length > 0 &&
+      (this.undoStack.length + this.redoStack.length > maxEntries ||
+        this.historyBytes > maxBytes)
+    ) {
+      const evicted = this.undoStack.shift();
+      this.historyBytes -= evicted.size;
+      if (this.historyGroup && this.historyGroup.entry === evicted) {
+        this.historyGroup.entry = null;
+      }
+    }
+  }
+
+  setHistoryLimit(limit) {
+    this.historyLimit = { ...this.historyLimit, ...limit };
+    this.enforceHistoryLimit();
+  }
+
+  getHistorySize() {
+    return this.historyBytes;
+  }
+
+  undoStep() {
+    const entry = this.undoStack.pop();
+    const before = this.state;
+    this.state = applyPatches(before, entry.inverse);
+    this.updateHistoryEntry(entry, {
+      forward: createPatches(this.state, before).forward,
+    });
+    this.redoStack.push(entry);
+  }
+
+  redoStep() {
+    const entry = this.redoStack.pop();
+    const before = this.state;
+    this.state = applyPatches(before, entry.forward);
+    this.updateHistoryEntry(entry, {
+      inverse: createPatches(this.state, before).forward,
+    });
+    this.undoStack.push(entry);
+  }
+
+  updateHistoryEntry(entry, patches) {
+    Object.assign(
+      entry,
+      this.deepStateComparison ? cloneDeep(patches) : patches
+    );
+    const size =
+      estimatePatchSize(entry.forward) + estimatePatchSize(entry.inverse);
+    this.historyBytes += size - entry.size;
+    entry.size = size;
+  }
+
   undo() {
     if (this.undoStack.length > 0) {
-      const prevState = this.undoStack.pop();
-      this.redoStack.push(
-        this.deepStateComparison
-          ? JSON.parse(JSON.stringify(this.state))
-          : { ...this.state }
-      );
-      this.state = prevState;
-      this.notifyListeners();
-      this.persistStateToLocalStorage();
+      const prevState = this.state;
+      this.historyGroup = null;
+      this.undoStep();
+      this.notifyListeners(prevState);
+      this.persistStateToStorage();
+      this.notifyCommitListeners(prevState, 'undo');
     }
   }
 
   redo() {
     if (this.redoStack.length > 0) {
-      const nextState = this.redoStack.pop();
-      this.undoStack.push(
-        this.deepStateComparison
-          ? JSON.parse(JSON.stringify(this.state))
-          : { ...this.state }
+      const prevState = this.state;
+      this.historyGroup = null;
+      this.redoStep();
+      this.notifyListeners(prevState);
+      this.persistStateToStorage();
+      this.notifyCommitListeners(prevState, 'redo');
+    }
+  }
+
+  getHistory() {
+    const entries = [
+      ...this.undoStack.map(entry => ({ entry, applied: true })),
+      ...[...this.redoStack]
+        .reverse()
+        .map(entry => ({ entry, applied: false })),
+    ];
+
+    return entries.map(({ entry, applied }, index) => ({
+      index,
+      label: entry.label,
+      timestamp: entry.timestamp,
+      size: entry.size,
+      applied,
+    }));
+  }
+
+  getHistoryIndex() {
+    return this.undoStack.length - 1;
+  }
+
+  jumpTo(index) {
+    const total = this.undoStack.length + this.redoStack.length;
+    if (!Number.isInteger(index) || index < -1 || index >= total) {
+      this.handleError(
+        new RangeError(`StateManager: history index ${index} out of range`)
       );
-      this.state = nextState;
-      this.notifyListeners();
-      this.persistStateToLocalStorage();
+      return false;
+    }
+
+    if (index === this.getHistoryIndex()) {
+      return true;
+    }
+
+    const prevState = this.state;
+    this.historyGroup = null;
+    while (this.getHistoryIndex() > index) {
+      this.undoStep();
     }
+    while (this.getHistoryIndex() < index) {
+      this.redoStep();
+    }
+
+    this.notifyListeners(prevState);
+    this.persistStateToStorage();
+    this.notifyCommitListeners(prevState, 'jumpTo', { index });
+    return true;
   }
 
   async mergeState(partialState) {
     try {
       const nextState = this.deepStateComparison
-        ? JSON.parse(JSON.stringify({ ...this.state, ...partialState }))
+        ? cloneDeep({ ...this.state, ...partialState })
         : { ...this.state, ...partialState };
 
-      await this.applyMiddlewares(this.prevState, nextState);
-      this.prevState = this.deepStateComparison
-        ? JSON.parse(JSON.stringify(this.state))
-        : { ...this.state };
-
-      this.state = nextState;
-      this.notifyListeners();
-      this.persistStateToLocalStorage();
+      return await this.applyStateUpdate(nextState, false, 'mergeState');
     } catch (err) {
       this.handleError(err);
+      return false;
     }
   }
 
   async patchState(partialState) {
     try {
       const nextState = this.deepStateComparison
-        ? JSON.parse(JSON.stringify({ ...this.state, ...partialState }))
+        ? cloneDeep({ ...this.state, ...partialState })
         : { ...this.state, ...partialState };
 
-      await this.applyMiddlewares(this.prevState, nextState);
-      this.prevState = this.deepStateComparison
-        ? JSON.parse(JSON.stringify(this.state))
-        : { ...this.state };
-
-      this.state = nextState;
-      this.notifyListeners();
-      this.persistStateToLocalStorage();
+      return await this.applyStateUpdate(nextState, false, 'patchState');
     } catch (err) {
       this.handleError(err);
+      return false;
     }
   }
 
@@ -241,6 +1035,50 @@ class StateManager {
     this.debounceDelay = delay;
   }
 
+  async transaction(fn, options = {}) {
+    const copy = state =>
+      this.deepStateComparison ? cloneDeep(state) : { ...state };
+
+    const snapshot = this.state;
+    let draft = copy(snapshot);
+    let dirty = false;
+    let active = true;
+
+    const update = nextState => {
+      if (!active) {
+        throw new Error('StateManager: transaction is no longer active');
+      }
+      draft = copy(nextState);
+      dirty = true;
+    };
+
+    const tx = {
+      getState: () => copy(draft),
+      setState: newState => update(newState),
+      mergeState: partialState => update({ ...draft, ...partialState }),
+      patchState: partialState => update({ ...draft, ...partialState }),
+    };
+
+    try {
+      await fn(tx);
+      active = false;
+      if (!dirty) {
+        return true;
+      }
+      const changes = createPatches(snapshot, draft).forward;
+      return await this.applyStateUpdate(
+        applyPatches(this.state, changes),
+        true,
+        'transaction',
+        { label: options.label }
+      );
+    } catch (err) {
+      active = false;
+      this.handleError(err);
+      return false;
+    }
+  }
+
   startBatchUpdate() {
     this.batchUpdatePending = true;
     this.batchUpdateQueue = [];
@@ -275,28 +1113,184 @@ class StateManager {
     this.localStorageKey = key;
   }
 
-  persistStateToLocalStorage() {
+  setStorageAdapter(storage) {
+    this.storage = storage || null;
+  }
+
+  getStorageAdapter() {
+    return this.storage;
+  }
+
+  persistStateToStorage() {
+    if (!this.storage) {
+      return;
+    }
+
+    if (this.storageWriteBehind) {
+      this.storageDirty = true;
+      if (!this.unregisterStorageFlush) {
+        this.unregisterStorageFlush = registerFlushOnExit(() =>
+          this.flushStorage()
+        );
+      }
+      if (!this.storageTimer) {
+        this.storageTimer = setTimeout(() => {
+          this.storageTimer = null;
+          this.writeStateToStorage();
+        }, this.storageWriteBehind.interval);
+        if (this.storageTimer.unref) {
+          this.storageTimer.unref();
+        }
+      }
+      return;
+    }
+
+    this.writeStateToStorage();
+  }
+
+  writeStateToStorage() {
+    this.storageDirty = false;
     try {
-      if (typeof localStorage !== 'undefined') {
-        localStorage.setItem(this.localStorageKey, JSON.stringify(this.state));
+      const serialized = serialize(this.getPersistedState());
+      const write = () =>
+        this.storage.setItem(this.localStorageKey, serialized);
+      if (this.storageWriteBehind || this.pendingStorageWrites > 0) {
+        this.queueStorageWrite(write);
+        return;
+      }
+
+      const result = write();
+      if (result && typeof result.then === 'function') {
+        this.queueStorageWrite(() => result);
       }
     } catch (err) {
       this.handleError(err);
     }
   }
 
-  initializeStateFromLocalStorage() {
+  queueStorageWrite(write) {
+    this.pendingStorageWrites += 1;
+    this.storageWrite = this.storageWrite
+      .then(write)
+      .catch(err => this.handleError(err))
+      .finally(() => {
+        this.pendingStorageWrites -= 1;
+      });
+  }
+
+  getPersistedState(state = this.state) {
+    return this.persistPaths ? pickPaths(state, this.persistPaths) : state;
+  }
+
+  restorePersistedState(storedState, baseState = this.state) {
+    return this.persistPaths ? mergeDeep(baseState, storedState) : storedState;
+  }
+
+  persistStateToLocalStorage() {
+    this.persistStateToStorage();
+  }
+
+  initializeStateFromStorage() {
+    const markReady = () => {
+      this.ready = this.pendingReadyTasks === 0;
+      return this;
+    };
+
+    if (!this.storage) {
+      this.readyPromise = Promise.resolve(markReady());
+      return;
+    }
+
     try {
-      if (typeof localStorage !== 'undefined') {
-        const storedState = localStorage.getItem(this.localStorageKey);
-        if (storedState) {
-          this.state = JSON.parse(storedState);
-          this.prevState = JSON.parse(storedState);
-        }
+      const storedState = this.storage.getItem(this.localStorageKey);
+      if (storedState && typeof storedState.then === 'function') {
+        const initialState = this.state;
+        this.readyPromise = storedState
+          .then(value => this.applyHydratedState(value, initialState))
+          .catch(err => this.handleError(err))
+          .then(markReady);
+        return;
+      }
+
+      if (storedState) {
+        this.state = this.restorePersistedState(deserialize(storedState));
+        this.prevState = { ...this.state };
       }
     } catch (err) {
       this.handleError(err);
     }
+    this.readyPromise = Promise.resolve(markReady());
+  }
+
+  initializeStateFromLocalStorage() {
+    this.initializeStateFromStorage();
+  }
+
+  applyHydratedState(serialized, initialState) {
+    if (!serialized) {
+      return;
+    }
+
+    const storedState = this.restorePersistedState(
+      deserialize(serialized),
+      initialState
+    );
+    const prevState = this.state;
+    const localChanges = createPatches(initialState, this.state).forward;
+
+    this.state = applyPatches(storedState, localChanges);
+    this.prevState = { ...prevState };
+    this.notifyListeners(prevState);
+
+    if (localChanges.length > 0) {
+      this.persistStateToStorage();
+    }
+    this.notifyCommitListeners(prevState, 'hydrate', { source: this.storage });
+  }
+
+  whenReady() {
+    return this.readyPromise;
+  }
+
+  deferReady(task) {
+    this.ready = false;
+    this.pendingReadyTasks += 1;
+    const settled = Promise.resolve(task)
+      .catch(err => this.handleError(err))
+      .then(() => {
+        this.pendingReadyTasks -= 1;
+      });
+
+    this.readyPromise = Promise.all([this.readyPromise, settled]).then(() => {
+      this.ready = this.pendingReadyTasks === 0;
+      return this;
+    });
+    return this.readyPromise;
+  }
+
+  isReady() {
+    return this.ready;
+  }
+
+  async flushStorage() {
+    clearTimeout(this.storageTimer);
+    this.storageTimer = null;
+    if (this.storageDirty) {
+      this.writeStateToStorage();
+    }
+    await this.storageWrite;
+  }
+
+  async close() {
+    this.abortAsync();
+    if (this.tabSync) {
+      this.tabSync.close();
+    }
+    await this.flushStorage();
+    if (this.unregisterStorageFlush) {
+      this.unregisterStorageFlush();
+      this.unregisterStorageFlush = null;
+    }
   }
 
   setErrorHandler(handler) {
@@ -322,6 +1316,8 @@ class StateManager {
   clearHistory() {
     this.undoStack = [];
     this.redoStack = [];
+    this.historyBytes = 0;
+    this.historyGroup = null;
   }
 
   getMiddlewareCount() {
@@ -329,7 +1325,7 @@ class StateManager {
   }
 
   getListenerCount() {
-    return this.listeners.length;
+    return this.listeners.length + this.selectorListeners.length;
   }
 
   getEventListenerCount(eventName) {
@@ -340,6 +1336,7 @@ class StateManager {
 
   removeAllListeners() {
     this.listeners = [];
+    this.selectorListeners = [];
   }
 
   removeAllEventListeners(eventName) {
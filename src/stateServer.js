@@ -0,0 +1,166 @@
+import net from 'net';
+import { createPatches } from './patches.js';
+import { createMessageReader, encodeMessage } from './ndjson.js';
+import { isPlainObject } from './pathUtils.js';
+
+class StateServer {
+  constructor(store, options = {}) {
+    this.store = store;
+    this.options = { host: '127.0.0.1', port: 0, ...options };
+    this.version = 0;
+    this.clients = new Set();
+    this.server = null;
+    this.removeCommitListener = null;
+  }
+
+  listen() {
+    if (this.server) {
+      return Promise.resolve(this.address());
+    }
+
+    this.server = net.createServer(socket => this.handleConnection(socket));
+    this.removeCommitListener = this.store.onCommit(
+      ({ prevState, nextState }) => this.broadcastChanges(prevState, nextState)
+    );
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.options.port, this.options.host, () => {
+        this.server.removeListener('error', reject);
+        resolve(this.address());
+      });
+    });
+  }
+
+  address() {
+    return this.server ? this.server.address() : null;
+  }
+
+  getClientCount() {
+    return this.clients.size;
+  }
+
+  getSnapshot() {
+    return this.store.stripComputed(this.store.getCommittedState());
+  }
+
+  handleConnection(socket) {
+    this.clients.add(socket);
+    socket.setEncoding('utf-8');
+    socket.setNoDelay(true);
+    socket.on(
+      'data',
+      createMessageReader(
+        message => this.handleMessage(socket, message),
+        err => {
+          this.store.handleError(err);
+          socket.destroy();
+        },
+        this.options.maxMessageSize
+      )
+    );
+    socket.on('error', () => {});
+    socket.on('close', () => this.clients.delete(socket));
+
+    this.sendSnapshot(socket);
+  }
+
+  send(socket, message) {
+    if (!socket.destroyed) {
+      socket.write(encodeMessage(message));
+    }
+  }
+
+  sendSnapshot(socket) {
+    this.send(socket, {
+      type: 'snapshot',
+      version: this.version,
+      state: this.getSnapshot(),
+    });
+  }
+
+  broadcastChanges(prevState, nextState) {
+    const patches = createPatches(prevState, nextState).forward;
+    if (patches.length === 0) {
+      return;
+    }
+
+    this.version += 1;
+    const message = encodeMessage({
+      type: 'patch',
+      version: this.version,
+      patches,
+    });
+    this.clients.forEach(socket => {
+      if (!socket.destroyed) {
+        socket.write(message);
+      }
+    });
+  }
+
+  async handleMessage(socket, message) {
+    if (!message || typeof message !== 'object') {
+      return;
+    }
+
+    if (message.type === 'sync') {
+      this.sendSnapshot(socket);
+      return;
+    }
+
+    if (
+      (message.type === 'set' || message.type === 'merge') &&
+      !isPlainObject(message.state)
+    ) {
+      this.send(socket, {
+        type: 'result',
+        id: message.id,
+        ok: false,
+        error: 'State must be a plain object',
+      });
+      return;
+    }
+
+    let ok = false;
+    if (message.type === 'set') {
+      ok = await this.store.setState(message.state, {
+        label: message.label,
+        source: this,
+      });
+    } else if (message.type === 'merge') {
+      ok = await this.store.mergeState(message.state);
+    } else {
+      this.send(socket, {
+        type: 'result',
+        id: message.id,
+        ok: false,
+        error: `Unknown request type "${message.type}"`,
+      });
+      return;
+    }
+
+    this.send(socket, {
+      type: 'result',
+      id: message.id,
+      ok: ok !== false,
+      error: ok === false ? 'State update was rejected' : undefined,
+    });
+  }
+
+  close() {
+    if (!this.server) {
+      return Promise.resolve();
+    }
+
+    const { server } = this;
+    this.server = null;
+    this.removeCommitListener();
+    this.removeCommitListener = null;
+    this.clients.forEach(socket => socket.destroy());
+    this.clients.clear();
+
+    return new Promise(resolve => server.close(() => resolve()));
+  }
+}
+
+export default StateServer;
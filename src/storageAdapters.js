@@ -0,0 +1,48 @@
+export class MemoryStorageAdapter {
+  constructor(initialItems = {}) {
+    this.items = new Map(Object.entries(initialItems));
+  }
+
+  getItem(key) {
+    return this.items.has(key) ? this.items.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this.items.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this.items.delete(key);
+  }
+
+  clear() {
+    this.items.clear();
+  }
+}
+
+export class WebStorageAdapter {
+  constructor(storage = globalThis.localStorage) {
+    if (!storage) {
+      throw new Error('WebStorageAdapter: no Web Storage object available');
+    }
+    this.storage = storage;
+  }
+
+  getItem(key) {
+    return this.storage.getItem(key);
+  }
+
+  setItem(key, value) {
+    this.storage.setItem(key, value);
+  }
+
+  removeItem(key) {
+    this.storage.removeItem(key);
+  }
+}
+
+export function createDefaultStorageAdapter() {
+  return typeof localStorage !== 'undefined'
+    ? new WebStorageAdapter(localStorage)
+    : null;
+}
@@ -0,0 +1,225 @@
+import { deserialize, serialize } from './serializer.js';
+
+const createInstanceId = () =>
+  `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+const unref = timer => {
+  if (timer && typeof timer.unref === 'function') {
+    timer.unref();
+  }
+  return timer;
+};
+
+export function createStorageEventChannel(
+  name,
+  storage = globalThis.localStorage,
+  target = globalThis
+) {
+  if (!storage || !target || typeof target.addEventListener !== 'function') {
+    throw new Error('TabSync: no BroadcastChannel or storage events available');
+  }
+
+  const key = `${name}:sync`;
+  const channel = {
+    onmessage: null,
+    postMessage(message) {
+      storage.setItem(
+        key,
+        JSON.stringify({ message, nonce: createInstanceId() })
+      );
+    },
+    close() {
+      target.removeEventListener('storage', onStorage);
+    },
+  };
+
+  function onStorage(event) {
+    if (event.key !== key || !event.newValue || !channel.onmessage) {
+      return;
+    }
+    channel.onmessage({ data: JSON.parse(event.newValue).message });
+  }
+
+  target.addEventListener('storage', onStorage);
+  return channel;
+}
+
+export function createDefaultChannel(name) {
+  if (typeof BroadcastChannel !== 'undefined') {
+    return unref(new BroadcastChannel(name));
+  }
+  return createStorageEventChannel(name);
+}
+
+class TabSync {
+  constructor(options = {}) {
+    this.options = {
+      channelFactory: createDefaultChannel,
+      leaderElection: false,
+      heartbeatInterval: 1000,
+      leaderTimeout: 3000,
+      ...options,
+    };
+    this.id = createInstanceId();
+    this.clock = 0;
+    this.version = { seq: 0, id: '' };
+    this.peers = new Map();
+    this.leader = false;
+    this.store = null;
+    this.channel = null;
+    this.heartbeatTimer = null;
+    this.removeCommitListener = null;
+  }
+
+  attach(store) {
+    if (this.store) {
+      throw new Error('TabSync: already attached to a store');
+    }
+
+    this.store = store;
+    this.name = this.options.name || store.localStorageKey;
+    this.channel = this.options.channelFactory(this.name);
+    this.channel.onmessage = event => this.receive(event.data);
+    this.removeCommitListener = store.onCommit(({ meta }) => {
+      if (meta.source !== this) {
+        this.broadcastState();
+      }
+    });
+
+    if (this.options.leaderElection) {
+      this.heartbeatTimer = unref(
+        setInterval(() => this.heartbeat(), this.options.heartbeatInterval)
+      );
+      this.heartbeat();
+    }
+    this.post({ type: 'hello' });
+
+    return () => this.close();
+  }
+
+  post(message) {
+    this.channel.postMessage({ ...message, id: this.id });
+  }
+
+  compareVersions(a, b) {
+    if (a.seq !== b.seq) {
+      return a.seq - b.seq;
+    }
+    if (a.id === b.id) {
+      return 0;
+    }
+    return a.id < b.id ? -1 : 1;
+  }
+
+  broadcastState() {
+    this.clock += 1;
+    this.version = { seq: this.clock, id: this.id };
+    this.postState();
+  }
+
+  postState() {
+    this.post({
+      type: 'update',
+      seq: this.version.seq,
+      origin: this.version.id,
+      state: serialize(this.store.getPersistedState()),
+    });
+  }
+
+  receive(message) {
+    if (!message || message.id === this.id || !this.store) {
+      return;
+    }
+
+    if (this.options.leaderElection) {
+      this.trackPeer(message);
+    }
+
+    if (message.type === 'hello') {
+      if (
+        this.version.seq > 0 &&
+        (!this.options.leaderElection || this.leader)
+      ) {
+        this.postState();
+      }
+      return;
+    }
+
+    if (message.type === 'update') {
+      this.applyUpdate(message);
+    }
+  }
+
+  applyUpdate({ seq, origin, state }) {
+    this.clock = Math.max(this.clock, seq);
+    const version = { seq, id: origin };
+    if (this.compareVersions(version, this.version) <= 0) {
+      return;
+    }
+
+    this.version = version;
+    this.store.setState(this.store.restorePersistedState(deserialize(state)), {
+      addToUndoStack: false,
+      label: 'Sync',
+      source: this,
+    });
+  }
+
+  trackPeer(message) {
+    const known = this.peers.has(message.id);
+    if (message.type === 'bye') {
+      this.peers.delete(message.id);
+    } else {
+      this.peers.set(message.id, Date.now());
+    }
+    if (!known && message.type !== 'bye') {
+      this.post({ type: 'heartbeat' });
+    }
+    this.updateLeadership();
+  }
+
+  heartbeat() {
+    this.post({ type: 'heartbeat' });
+    this.updateLeadership();
+  }
+
+  getPeers() {
+    const cutoff = Date.now() - this.options.leaderTimeout;
+    return [...this.peers]
+      .filter(([, lastSeen]) => lastSeen >= cutoff)
+      .map(([id]) => id);
+  }
+
+  updateLeadership() {
+    const leader = this.getPeers().every(peer => this.id < peer);
+    if (leader !== this.leader) {
+      this.leader = leader;
+      if (this.options.onLeaderChange) {
+        this.options.onLeaderChange(leader);
+      }
+    }
+  }
+
+  isLeader() {
+    return Boolean(this.options.leaderElection && this.leader);
+  }
+
+  close() {
+    if (!this.store) {
+      return;
+    }
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+    this.removeCommitListener();
+    if (this.options.leaderElection) {
+      this.post({ type: 'bye' });
+    }
+    this.channel.onmessage = null;
+    this.channel.close();
+    this.channel = null;
+    this.store = null;
+    this.leader = false;
+  }
+}
+
+export default TabSync;
@@ -0,0 +1,257 @@
+const INDENT = '  ';
+const QUOTES = '"\'';
+
+const isPlainObject = value =>
+  typeof value === 'object' && value !== null && !Array.isArray(value);
+
+const needsQuotes = value =>
+  value === '' ||
+  value !== value.trim() ||
+  /^(?:null|~|true|false|yes|no|on|off|[-+]?\.inf|\.nan)$/i.test(value) ||
+  /^[-+]?(?:\d[\d_]*)?(?:\.\d*)?(?:e[-+]?\d+)?$/i.test(value) ||
+  /^[-?:,[\]{}#&*!|>'"%@`]/.test(value) ||
+  /: |\s#|[\n\r\t]|:$/.test(value);
+
+function stringifyScalar(value) {
+  if (value === null || value === undefined) {
+    return 'null';
+  }
+  if (typeof value === 'boolean') {
+    return String(value);
+  }
+  if (typeof value === 'number') {
+    if (Number.isNaN(value)) {
+      return '.nan';
+    }
+    if (!Number.isFinite(value)) {
+      return value > 0 ? '.inf' : '-.inf';
+    }
+    return String(value);
+  }
+  const text = String(value);
+  return needsQuotes(text) ? JSON.stringify(text) : text;
+}
+
+function stringifyNode(value, depth) {
+  const pad = INDENT.repeat(depth);
+
+  if (Array.isArray(value)) {
+    if (value.length === 0) {
+      return ' []';
+    }
+    return value
+      .map(item => {
+        if (
+          (Array.isArray(item) && item.length > 0) ||
+          (isPlainObject(item) && Object.keys(item).length > 0)
+        ) {
+          const nested = stringifyNode(item, depth + 1).replace(/^\n/, '');
+          return `\n${pad}- ${nested.slice(pad.length + INDENT.length)}`;
+        }
+        return `\n${pad}-${stringifyNode(item, depth + 1)}`;
+      })
+      .join('');
+  }
+
+  if (isPlainObject(value)) {
+    const keys = Object.keys(value);
+    if (keys.length === 0) {
+      return ' {}';
+    }
+    return keys
+      .map(
+        key =>
+          `\n${pad}${stringifyScalar(key)}:${stringifyNode(value[key], depth + 1)}`
+      )
+      .join('');
+  }
+
+  return ` ${stringifyScalar(value)}`;
+}
+
+export function stringifyYaml(value) {
+  const output = stringifyNode(value, 0);
+  return `${output.slice(1)}\n`;
+}
+
+const startsScalar = (text, index) =>
+  /(?:^\s*|: |(?:^|\s)- |[[{,]\s*)$/.test(text.slice(0, index));
+
+function stripComment(text) {
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === '\\' && quote === '"') {
+        i++;
+      } else if (char === quote) {
+        quote = null;
+      }
+    } else if (QUOTES.includes(char) && startsScalar(text, i)) {
+      quote = char;
+    } else if (char === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+      return text.slice(0, i).trimEnd();
+    }
+  }
+  return text.trimEnd();
+}
+
+function findMappingSeparator(text) {
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === '\\' && quote === '"') {
+        i++;
+      } else if (char === quote) {
+        quote = null;
+      }
+    } else if (QUOTES.includes(char) && i === 0) {
+      quote = char;
+    } else if (char === ':' && (i === text.length - 1 || text[i + 1] === ' ')) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+export function parseYamlScalar(raw) {
+  const text = raw.trim();
+
+  if (text.startsWith('"')) {
+    return JSON.parse(text);
+  }
+  if (text.startsWith(QUOTES[1])) {
+    return text.slice(1, -1).replace(/''/g, match => match[0]);
+  }
+  if (text === '' || text === '~' || text === 'null') {
+    return null;
+  }
+  if (text === 'true' || text === 'false') {
+    return text === 'true';
+  }
+  if (text === '.nan') {
+    return NaN;
+  }
+  if (/^[-+]?\.inf$/.test(text)) {
+    return text.startsWith('-') ? -Infinity : Infinity;
+  }
+  if (/^[-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?$/i.test(text)) {
+    return Number(text);
+  }
+  if (text.startsWith('[') || text.startsWith('{')) {
+    try {
+      return JSON.parse(text);
+    } catch {
+      return text;
+    }
+  }
+  return text;
+}
+
+const isSequenceItem = line => line.text === '-' || line.text.startsWith('- ');
+
+export function parseYaml(source) {
+  const lines = String(source)
+    .split(/\r?\n/)
+    .map(line => ({
+      indent: line.length - line.trimStart().length,
+      text: stripComment(line.trim()),
+    }))
+    .filter(line => line.text !== '' && line.text !== '---');
+
+  let position = 0;
+
+  const parseBlock = indent => {
+    const line = lines[position];
+    if (!line || line.indent < indent) {
+      return null;
+    }
+    return isSequenceItem(line)
+      ? parseSequence(line.indent)
+      : parseMapping(line.indent);
+  };
+
+  const parseSequence = indent => {
+    const result = [];
+    while (
+      position < lines.length &&
+      lines[position].indent === indent &&
+      isSequenceItem(lines[position])
+    ) {
+      const line = lines[position];
+      const rest = line.text === '-' ? '' : line.text.slice(2).trim();
+
+      if (rest === '') {
+        position++;
+        const next = lines[position];
+        result.push(
+          next && next.indent > indent ? parseBlock(next.indent) : null
+        );
+      } else if (rest.startsWith('- ') || findMappingSeparator(rest) !== -1) {
+        const offset = line.text.length - rest.length;
+        lines[position] = { indent: indent + offset, text: rest };
+        result.push(parseBlock(indent + offset));
+      } else {
+        position++;
+        result.push(parseYamlScalar(rest));
+      }
+    }
+    return result;
+  };
+
+  const parseMapping = indent => {
+    const result = {};
+    while (
+      position < lines.length &&
+      lines[position].indent === indent &&
+      !isSequenceItem(lines[position])
+    ) {
+      const { text } = lines[position];
+      const separator = findMappingSeparator(text);
+      if (separator === -1) {
+        throw new SyntaxError(
+          `YAML: expected "key: value" but found "${text}"`
+        );
+      }
+
+      const key = String(parseYamlScalar(text.slice(0, separator)) ?? 'null');
+      const rest = text.slice(separator + 1).trim();
+      position++;
+
+      if (rest !== '') {
+        result[key] = parseYamlScalar(rest);
+        continue;
+      }
+
+      const next = lines[position];
+      if (next && next.indent > indent) {
+        result[key] = parseBlock(next.indent);
+      } else if (next && next.indent === indent && isSequenceItem(next)) {
+        result[key] = parseSequence(indent);
+      } else {
+        result[key] = null;
+      }
+    }
+    return result;
+  };
+
+  if (lines.length === 0) {
+    return null;
+  }
+
+  if (lines.length === 1 && !isSequenceItem(lines[0])) {
+    const [line] = lines;
+    if (findMappingSeparator(line.text) === -1) {
+      return parseYamlScalar(line.text);
+    }
+  }
+
+  const result = parseBlock(lines[0].indent);
+  if (position < lines.length) {
+    throw new SyntaxError(
+      `YAML: unexpected indentation at "${lines[position].text}"`
+    );
+  }
+  return result;
+}
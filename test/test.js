@@ -1,7 +1,39 @@
 import { describe, it, beforeEach, afterEach } from 'mocha';
 import { expect } from 'chai';
-import { StateManager, PersistenceMiddleware } from '../src/index.js';
+import {
+  StateManager,
+  PersistenceMiddleware,
+  createSelector,
+  shallowEqual,
+  StateValidationError,
+  MemoryStorageAdapter,
+  FileStorageAdapter,
+  StateServer,
+  RemoteStateManager,
+  StateVersionError,
+  StateIntegrityError,
+  registerType,
+  serialize,
+  deserialize,
+  cloneDeep,
+} from '../src/index.js';
+import TabSync, { createStorageEventChannel } from '../src/tabSync.js';
+import { createMessageReader, encodeMessage } from '../src/ndjson.js';
+import { acquireLock, withFileLock } from '../src/fileUtils.js';
 import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawn } from 'child_process';
+
+const deferred = () => {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+};
 
 describe('StateManager', () => {
   let store;
@@ -86,6 +118,91 @@ describe('StateManager', () => {
     });
   });
 
+  describe('Selectors', () => {
+    it('should memoize selectors on their inputs', () => {
+      const selectTodos = state => state.todos;
+      const selectDoneCount = createSelector(
+        selectTodos,
+        todos => todos.filter(todo => todo.done).length
+      );
+
+      const todos = [{ done: true }, { done: false }];
+      expect(selectDoneCount({ todos })).to.equal(1);
+      expect(selectDoneCount({ todos, filter: 'all' })).to.equal(1);
+      expect(selectDoneCount.recomputations()).to.equal(1);
+
+      selectDoneCount({ todos: [...todos, { done: true }] });
+      expect(selectDoneCount.recomputations()).to.equal(2);
+    });
+
+    it('should not notify select listeners for unrelated updates in deep mode', async () => {
+      store.enableDeepStateComparison();
+      await store.setState({ user: { name: 'Ada' }, count: 0 });
+      const calls = [];
+      store.select(
+        state => state.user,
+        (user, prevUser) => calls.push([user, prevUser])
+      );
+
+      await store.mergeState({ count: 1 });
+      await store.mergeState({ count: 2 });
+      expect(calls).to.have.lengthOf(0);
+
+      await store.mergeState({ user: { name: 'Grace' } });
+      expect(calls).to.deep.equal([[{ name: 'Grace' }, { name: 'Ada' }]]);
+      calls[0][0].name = 'mutated';
+      expect(store.getState().user.name).to.equal('Grace');
+    });
+
+    it('should only notify select listeners when the value changes', async () => {
+      const calls = [];
+      await store.setState({ count: 1, name: 'test' });
+
+      store.select(
+        state => state.count,
+        (value, prevValue) => calls.push([value, prevValue])
+      );
+
+      await store.mergeState({ name: 'changed' });
+      expect(calls).to.deep.equal([]);
+
+      await store.mergeState({ count: 2 });
+      expect(calls).to.deep.equal([[2, 1]]);
+    });
+
+    it('should support custom equality functions', async () => {
+      let callCount = 0;
+      await store.setState({ user: { name: 'John' } });
+
+      store.select(
+        state => ({ name: state.user.name }),
+        () => callCount++,
+        shallowEqual
+      );
+
+      await store.setState({ user: { name: 'John' } });
+      expect(callCount).to.equal(0);
+
+      await store.setState({ user: { name: 'Jane' } });
+      expect(callCount).to.equal(1);
+    });
+
+    it('should unsubscribe select listeners', async () => {
+      let callCount = 0;
+      const unsubscribe = store.select(
+        state => state.count,
+        () => callCount++
+      );
+
+      await store.setState({ count: 1 });
+      unsubscribe();
+      await store.setState({ count: 2 });
+
+      expect(callCount).to.equal(1);
+      expect(store.getListenerCount()).to.equal(0);
+    });
+  });
+
   describe('Event System', () => {
     it('should handle custom events', () => {
       let eventData = null;
@@ -121,6 +238,75 @@ describe('StateManager', () => {
     });
   });
 
+  describe('Path Subscriptions', () => {
+    it('should notify nested path listeners with new value, old value and path', async () => {
+      const calls = [];
+      await store.setState({ user: { profile: { name: 'John' } } });
+
+      store.on('user.profile.name', (value, oldValue, path) => {
+        calls.push({ value, oldValue, path });
+      });
+
+      await store.setState({ user: { profile: { name: 'Jane' } } });
+      expect(calls).to.deep.equal([
+        { value: 'Jane', oldValue: 'John', path: 'user.profile.name' },
+      ]);
+    });
+
+    it('should only fire when the path value changed', async () => {
+      let callCount = 0;
+      await store.setState({ count: 1, name: 'test' });
+
+      store.on('count', () => callCount++);
+
+      await store.mergeState({ name: 'other' });
+      await store.setState({ count: 1, name: 'other' });
+      expect(callCount).to.equal(0);
+
+      await store.mergeState({ count: 2 });
+      expect(callCount).to.equal(1);
+    });
+
+    it('should match wildcard paths', async () => {
+      const paths = [];
+      await store.setState({
+        todos: [
+          { text: 'a', done: false },
+          { text: 'b', done: false },
+        ],
+      });
+
+      store.on('todos.*.done', (value, _oldValue, path) => {
+        paths.push([path, value]);
+      });
+
+      await store.setState({
+        todos: [
+          { text: 'a', done: false },
+          { text: 'b', done: true },
+          { text: 'c', done: false },
+        ],
+      });
+
+      expect(paths).to.deep.equal([
+        ['todos.1.done', true],
+        ['todos.2.done', false],
+      ]);
+    });
+
+    it('should notify path listeners on undo and redo', async () => {
+      const values = [];
+      await store.setState({ count: 1 });
+      await store.setState({ count: 2 });
+
+      store.on('count', value => values.push(value));
+      store.undo();
+      store.redo();
+
+      expect(values).to.deep.equal([1, 2]);
+    });
+  });
+
   describe('Undo/Redo Functionality', () => {
     it('should support undo operations', async () => {
       await store.setState({ count: 1 });
@@ -139,6 +325,17 @@ describe('StateManager', () => {
       expect(store.getState()).to.deep.equal({ count: 2 });
     });
 
+    it('should redo to the state that was undone', async () => {
+      await store.setState({ a: 1 });
+      await store.mergeState({ a: 5 });
+      store.undo();
+      store.redo();
+
+      expect(store.getState()).to.deep.equal({ a: 5 });
+      store.undo();
+      expect(store.getState()).to.deep.equal({});
+    });
+
     it('should clear redo stack on new state change', async () => {
       await store.setState({ count: 1 });
       await store.setState({ count: 2 });
@@ -157,6 +354,134 @@ describe('StateManager', () => {
       store.redo();
       expect(store.getState()).to.deep.equal({});
     });
+
+    it('should undo and redo nested changes and removed keys', async () => {
+      await store.setState({ user: { name: 'John', tags: ['a'] }, temp: 1 });
+      await store.setState({ user: { name: 'Jane', tags: ['a', 'b'] } });
+
+      store.undo();
+      expect(store.getState()).to.deep.equal({
+        user: { name: 'John', tags: ['a'] },
+        temp: 1,
+      });
+
+      store.redo();
+      expect(store.getState()).to.deep.equal({
+        user: { name: 'Jane', tags: ['a', 'b'] },
+      });
+    });
+
+    it('should store history entries as patches', async () => {
+      const largeList = Array.from({ length: 1000 }, (_, i) => i);
+      await store.setState({ list: largeList, count: 0 });
+      await store.setState({ list: largeList, count: 1 });
+
+      const [, entry] = store.undoStack;
+      expect(entry.forward).to.deep.equal([
+        { op: 'set', path: ['count'], value: 1 },
+      ]);
+      expect(entry.inverse).to.deep.equal([
+        { op: 'set', path: ['count'], value: 0 },
+      ]);
+    });
+
+    it('should evict the oldest entries beyond the maximum depth', async () => {
+      const boundedStore = new StateManager({}, { history: { maxEntries: 3 } });
+      for (let count = 1; count <= 5; count++) {
+        await boundedStore.setState({ count });
+      }
+
+      expect(boundedStore.getUndoStackSize()).to.equal(3);
+      boundedStore.undo();
+      boundedStore.undo();
+      boundedStore.undo();
+      boundedStore.undo();
+      expect(boundedStore.getState()).to.deep.equal({ count: 2 });
+    });
+
+    it('should evict the oldest entries beyond the byte budget', async () => {
+      await store.setState({ text: 'a'.repeat(100) });
+      await store.setState({ text: 'b'.repeat(100) });
+      await store.setState({ text: 'c'.repeat(100) });
+      expect(store.getUndoStackSize()).to.equal(3);
+
+      store.setHistoryLimit({ maxBytes: 600 });
+      expect(store.getUndoStackSize()).to.equal(2);
+      expect(store.getHistorySize()).to.be.at.most(600);
+    });
+  });
+
+  describe('History Navigation', () => {
+    it('should list labelled history entries with timestamps', async () => {
+      await store.setState({ name: 'a' }, { label: 'Create layer' });
+      await store.setState({ name: 'b' }, { label: 'Rename layer' });
+      store.undo();
+
+      const history = store.getHistory();
+      expect(
+        history.map(({ label, applied }) => [label, applied])
+      ).to.deep.equal([
+        ['Create layer', true],
+        ['Rename layer', false],
+      ]);
+      expect(history[0].timestamp).to.be.a('number');
+      expect(store.getHistoryIndex()).to.equal(0);
+    });
+
+    it('should group several updates into one undoable step', async () => {
+      await store.setState({ x: 0, y: 0 });
+
+      store.startHistoryGroup('Move layer');
+      await store.setState({ x: 10, y: 0 });
+      await store.setState({ x: 10, y: 20 });
+      store.endHistoryGroup();
+
+      expect(store.getUndoStackSize()).to.equal(2);
+      expect(store.getHistory()[1].label).to.equal('Move layer');
+
+      store.undo();
+      expect(store.getState()).to.deep.equal({ x: 0, y: 0 });
+      store.redo();
+      expect(store.getState()).to.deep.equal({ x: 10, y: 20 });
+    });
+
+    it('should group updates made inside groupHistory', async () => {
+      await store.groupHistory('Batch', async () => {
+        await store.setState({ count: 1 });
+        await store.setState({ count: 2 }, { label: 'Inner' });
+      });
+
+      expect(store.getHistory()).to.have.lengthOf(1);
+      expect(store.getHistory()[0].label).to.equal('Batch');
+    });
+
+    it('should jump to any point in history with one notification', async () => {
+      let callCount = 0;
+      for (let count = 1; count <= 4; count++) {
+        await store.setState({ count });
+      }
+      store.subscribe(() => callCount++);
+
+      expect(store.jumpTo(0)).to.be.true;
+      expect(store.getState()).to.deep.equal({ count: 1 });
+      expect(callCount).to.equal(1);
+
+      store.jumpTo(2);
+      expect(store.getState()).to.deep.equal({ count: 3 });
+
+      store.jumpTo(-1);
+      expect(store.getState()).to.deep.equal({});
+      expect(store.getRedoStackSize()).to.equal(4);
+    });
+
+    it('should reject out of range history indexes', async () => {
+      let errorCaught = false;
+      store.setErrorHandler(() => (errorCaught = true));
+      await store.setState({ count: 1 });
+
+      expect(store.jumpTo(5)).to.be.false;
+      expect(errorCaught).to.be.true;
+    });
   });
 
   describe('Middleware System', () => {
@@ -206,6 +531,150 @@ describe('StateManager', () => {
     });
   });
 
+  describe('Middleware Pipeline', () => {
+    it('should run selective middleware only when its keys change', async () => {
+      const calls = [];
+      store.applyMiddleware((prev, next) => calls.push(next.user.name), {
+        selective: true,
+        keys: ['user.name'],
+      });
+      store.applyMiddleware(
+        (context, next) => {
+          calls.push(`pipeline:${context.nextState.theme}`);
+          return next();
+        },
+        { pipeline: true, selective: true, keys: ['theme'] }
+      );
+
+      await store.setState({ user: { name: 'Ann', age: 1 }, theme: 'dark' });
+      await store.setState({ user: { name: 'Ann', age: 2 }, theme: 'dark' });
+      await store.setState({ user: { name: 'Bob', age: 2 }, theme: 'dark' });
+      await store.setState({ user: { name: 'Bob', age: 2 }, theme: 'light' });
+
+      expect(calls).to.deep.equal([
+        'Ann',
+        'pipeline:dark',
+        'Bob',
+        'pipeline:light',
+      ]);
+      expect(store.getState().theme).to.equal('light');
+    });
+
+    it('should match wildcard keys in selective middleware', async () => {
+      let calls = 0;
+      store.applyMiddleware(() => calls++, {
+        selective: true,
+        keys: ['todos.*.done'],
+      });
+
+      await store.setState({ todos: [{ title: 'a', done: false }] });
+      await store.setState({ todos: [{ title: 'b', done: false }] });
+      await store.setState({ todos: [{ title: 'b', done: true }] });
+
+      expect(calls).to.equal(2);
+    });
+
+    it('should let pipeline middleware replace the next state', async () => {
+      store.applyMiddleware(
+        async (context, next) => {
+          context.nextState = {
+            ...context.nextState,
+            name: context.nextState.name.trim(),
+          };
+          await next();
+        },
+        { pipeline: true }
+      );
+
+      await store.setState({ name: '  John  ' });
+      expect(store.getState()).to.deep.equal({ name: 'John' });
+    });
+
+    it('should let pipeline middleware cancel an update', async () => {
+      let callCount = 0;
+      store.subscribe(() => callCount++);
+      store.applyMiddleware(
+        (context, next) => {
+          if (context.nextState.count < 0) {
+            context.cancel('Count cannot be negative');
+            return;
+          }
+          return next();
+        },
+        { pipeline: true }
+      );
+
+      await store.setState({ count: 1 });
+      const result = await store.setState({ count: -1 });
+
+      expect(result).to.be.false;
+      expect(store.getState()).to.deep.equal({ count: 1 });
+      expect(callCount).to.equal(1);
+    });
+
+    it('should skip remaining middleware when next is not called', async () => {
+      let laterCalled = false;
+      store.applyMiddleware(() => {}, { pipeline: true });
+      store.applyMiddleware(() => (laterCalled = true));
+
+      await store.setState({ count: 1 });
+      expect(laterCalled).to.be.false;
+      expect(store.getState()).to.deep.equal({ count: 1 });
+    });
+
+    it('should run before hooks in order and after hooks in reverse after commit', async () => {
+      const order = [];
+      const tracer = name => async (context, next) => {
+        order.push(`${name}:before`);
+        await next();
+        order.push(`${name}:after:${context.store.getState().count}`);
+      };
+
+      store.applyMiddleware(tracer('a'), { pipeline: true });
+      store.applyMiddleware(tracer('b'), { pipeline: true });
+      store.subscribe(() => order.push('notify'));
+
+      await store.setState({ count: 1 });
+      expect(order).to.deep.equal([
+        'a:before',
+        'b:before',
+        'notify',
+        'b:after:1',
+        'a:after:1',
+      ]);
+    });
+
+    it('should pass the current state and action to middleware', async () => {
+      const seen = [];
+      store.applyMiddleware(
+        (context, next) => {
+          seen.push([context.action, context.prevState]);
+          return next();
+        },
+        { pipeline: true }
+      );
+
+      await store.setState({ count: 1 });
+      await store.mergeState({ name: 'test' });
+      expect(seen).to.deep.equal([
+        ['setState', {}],
+        ['mergeState', { count: 1 }],
+      ]);
+    });
+
+    it('should reject the update when a middleware throws', async () => {
+      store.setErrorHandler(() => {});
+      await store.setState({ count: 1 });
+      store.applyMiddleware(() => {
+        throw new Error('Invalid state');
+      });
+
+      const result = await store.setState({ count: 2 });
+      expect(result).to.be.false;
+      expect(store.getState()).to.deep.equal({ count: 1 });
+    });
+  });
+
   describe('Debouncing', () => {
     it('should debounce state updates', done => {
       let updateCount = 0;
@@ -241,95 +710,1420 @@ describe('StateManager', () => {
     });
   });
 
-  describe('Deep State Comparison', () => {
-    it('should enable deep state comparison', async () => {
-      store.enableDeepStateComparison();
-      await store.setState({ nested: { value: 1 } });
-
-      const state = store.getState();
-      state.nested.value = 2;
+  describe('Async Actions', () => {
+    it('should resolve setStateAsync once the update has landed', async () => {
+      const started = Date.now();
+      expect(await store.setStateAsync({ count: 1 })).to.be.true;
+      expect(store.getState()).to.deep.equal({ count: 1 });
 
-      expect(store.getState().nested.value).to.equal(1);
+      expect(await store.setStateAsync(Promise.resolve({ count: 2 }))).to.be
+        .true;
+      expect(store.getState()).to.deep.equal({ count: 2 });
+      expect(Date.now() - started).to.be.lessThan(100);
+      expect(store.getUndoStackSize()).to.equal(2);
     });
 
-    it('should disable deep state comparison', async () => {
-      store.disableDeepStateComparison();
-      await store.setState({ nested: { value: 1 } });
-
-      const state = store.getState();
-      state.nested.value = 2;
+    it('should apply every concurrent setStateAsync call', async () => {
+      const results = await Promise.all([
+        store.setStateAsync({ a: 1 }),
+        store.setStateAsync(Promise.resolve({ b: 2 })),
+      ]);
 
-      expect(store.getState().nested.value).to.equal(2);
+      expect(results).to.deep.equal([true, true]);
+      expect(store.getState()).to.deep.equal({ b: 2 });
+      expect(store.getUndoStackSize()).to.equal(2);
     });
-  });
 
-  describe('Error Handling', () => {
-    it('should handle errors gracefully', async () => {
-      let errorCaught = false;
+    it('should track pending, fulfilled and rejected status', async () => {
+      const events = [];
+      store.onAsyncStatus(event =>
+        events.push(`${event.name}:${event.status}`)
+      );
+      const request = deferred();
 
-      store.setErrorHandler(_error => {
-        errorCaught = true;
+      const run = store.runAsync('loadUser', async (signal, { merge }) => {
+        const user = await request.promise;
+        await merge({ user });
+        return user.id;
+      });
+      expect(store.getAsyncStatus('loadUser')).to.include({
+        status: 'pending',
+        pending: 1,
       });
 
-      const middleware = () => {
-        throw new Error('Middleware error');
-      };
+      request.resolve({ id: 7 });
+      expect(await run).to.deep.equal({ status: 'fulfilled', result: 7 });
+      expect(store.getState().user).to.deep.equal({ id: 7 });
+      expect(store.getAsyncStatus('loadUser')).to.deep.equal({
+        status: 'fulfilled',
+        error: null,
+        result: 7,
+        pending: 0,
+      });
 
-      store.applyMiddleware(middleware);
-      await store.setState({ count: 1 });
-      expect(errorCaught).to.be.true;
+      const failure = new Error('offline');
+      const outcome = await store.runAsync('loadUser', async () => {
+        throw failure;
+      });
+      expect(outcome).to.deep.equal({ status: 'rejected', error: failure });
+      expect(store.getAsyncStatus('loadUser').error).to.equal(failure);
+      expect(events).to.deep.equal([
+        'loadUser:pending',
+        'loadUser:fulfilled',
+        'loadUser:pending',
+        'loadUser:rejected',
+      ]);
+      expect(store.getAsyncStatus('unknown').status).to.equal('idle');
+
+      const pathChanges = [];
+      store.on('async', value => pathChanges.push(value));
+      await store.runAsync('loadUser', async () => 1);
+      expect(pathChanges).to.deep.equal([]);
     });
 
-    it('should handle listener errors', async () => {
-      let errorCaught = false;
+    it('should abort superseded runs with takeLatest', async () => {
+      const slow = deferred();
+      const signals = [];
 
-      store.setErrorHandler(_error => {
-        errorCaught = true;
+      const first = store.runAsync('search', async (signal, { set }) => {
+        signals.push(signal);
+        await slow.promise;
+        return set({ query: 'stale' });
       });
-
-      store.subscribe(() => {
-        throw new Error('Listener error');
+      const second = store.runAsync('search', async (signal, { set }) => {
+        signals.push(signal);
+        return set({ query: 'fresh' });
       });
 
-      await store.setState({ count: 1 });
-      expect(errorCaught).to.be.true;
+      expect(await second).to.deep.equal({ status: 'fulfilled', result: true });
+      slow.resolve();
+      expect(await first).to.deep.equal({ status: 'aborted' });
+
+      expect(signals[0].aborted).to.be.true;
+      expect(signals[1].aborted).to.be.false;
+      expect(store.getState()).to.deep.equal({ query: 'fresh' });
+      expect(store.getAsyncStatus('search').status).to.equal('fulfilled');
     });
-  });
 
-  describe('Utility Methods', () => {
-    it('should provide state snapshot', async () => {
-      await store.setState({ count: 1 });
-      store.applyMiddleware(() => {
-        // Empty middleware for testing
-      });
-      store.subscribe(() => {});
+    it('should ignore new runs while one is pending with takeLeading', async () => {
+      const gate = deferred();
+      let calls = 0;
+      const action = async () => {
+        calls++;
+        await gate.promise;
+        return calls;
+      };
 
-      const snapshot = store.getStateSnapshot();
-      expect(snapshot.state).to.deep.equal({ count: 1 });
-      expect(snapshot.middlewareCount).to.equal(1);
-      expect(snapshot.listenerCount).to.equal(1);
+      const first = store.runAsync('save', action, { policy: 'takeLeading' });
+      const second = store.runAsync('save', action, { policy: 'takeLeading' });
+      expect(second).to.equal(first);
+
+      gate.resolve();
+      expect(await first).to.deep.equal({ status: 'fulfilled', result: 1 });
+      expect(calls).to.equal(1);
     });
 
-    it('should clear history', async () => {
-      await store.setState({ count: 1 });
-      await store.setState({ count: 2 });
-      store.undo();
+    it('should run concurrently with takeEvery', async () => {
+      const gates = [deferred(), deferred()];
+      const runs = gates.map((gate, index) =>
+        store.runAsync(
+          'upload',
+          async () => {
+            await gate.promise;
+            return index;
+          },
+          { policy: 'takeEvery' }
+        )
+      );
+      expect(store.getAsyncStatus('upload').pending).to.equal(2);
 
-      store.clearHistory();
-      expect(store.getUndoStackSize()).to.equal(0);
-      expect(store.getRedoStackSize()).to.equal(0);
+      gates[1].resolve();
+      await runs[1];
+      expect(store.getAsyncStatus('upload').status).to.equal('pending');
+
+      gates[0].resolve();
+      expect((await runs[0]).result).to.equal(0);
+      expect(store.getAsyncStatus('upload').status).to.equal('fulfilled');
     });
 
-    it('should remove all listeners', () => {
-      store.subscribe(() => {
-        // Empty listener for testing
-      });
-      store.subscribe(() => {
-        // Empty listener for testing
+    it('should cancel runs through abortAsync or an AbortSignal', async () => {
+      const controller = new AbortController();
+      const waitForAbort = signal =>
+        new Promise((resolve, reject) => {
+          signal.addEventListener('abort', () => reject(signal.reason));
+        });
+
+      const external = store.runAsync('poll', waitForAbort, {
+        signal: controller.signal,
       });
+      controller.abort();
+      expect(await external).to.deep.equal({ status: 'aborted' });
+      expect(store.getAsyncStatus('poll').status).to.equal('aborted');
 
-      store.removeAllListeners();
-      expect(store.getListenerCount()).to.equal(0);
+      const internal = store.runAsync('poll', waitForAbort);
+      store.abortAsync('poll');
+      expect((await internal).status).to.equal('aborted');
+
+      expect(() =>
+        store.runAsync('poll', waitForAbort, { policy: 'x' })
+      ).to.throw(/unknown async policy/);
+    });
+  });
+
+  describe('Optimistic Updates', () => {
+    it('should show the patch at once and commit it on success', async () => {
+      const storage = new MemoryStorageAdapter();
+      const optimisticStore = new StateManager({ liked: false }, { storage });
+      const seen = [];
+      optimisticStore.subscribe(state => seen.push(state.liked));
+      const request = deferred();
+
+      const pending = optimisticStore.optimistic(
+        { liked: true },
+        () => request.promise
+      );
+      expect(optimisticStore.getState().liked).to.be.true;
+      expect(optimisticStore.getUndoStackSize()).to.equal(0);
+      expect(optimisticStore.getOptimisticUpdateCount()).to.equal(1);
+      expect(JSON.parse(storage.getItem(optimisticStore.localStorageKey))).to.be
+        .null;
+
+      request.resolve('ok');
+      expect(await pending).to.equal('ok');
+      expect(optimisticStore.getState().liked).to.be.true;
+      expect(optimisticStore.getOptimisticUpdateCount()).to.equal(0);
+      expect(optimisticStore.getUndoStackSize()).to.equal(1);
+      expect(seen).to.deep.equal([true, true]);
+
+      optimisticStore.undo();
+      expect(optimisticStore.getState().liked).to.be.false;
+    });
+
+    it('should drop only the failed layer on rejection', async () => {
+      await store.setState({ title: 'Draft', likes: 1 });
+      const failing = deferred();
+      const succeeding = deferred();
+      const seen = [];
+      store.subscribe(state => seen.push(state.title));
+
+      const first = store.optimistic(
+        { title: 'Published' },
+        () => failing.promise
+      );
+      const second = store.optimistic(
+        state => ({ likes: state.likes + 1 }),
+        () => succeeding.promise
+      );
+      await store.mergeState({ likes: 10, tags: ['news'] });
+      expect(store.getState()).to.deep.equal({
+        title: 'Published',
+        likes: 11,
+        tags: ['news'],
+      });
+
+      failing.reject(new Error('conflict'));
+      let error;
+      try {
+        await first;
+      } catch (err) {
+        error = err;
+      }
+      expect(error.message).to.equal('conflict');
+      expect(store.getState()).to.deep.equal({
+        title: 'Draft',
+        likes: 11,
+        tags: ['news'],
+      });
+      expect(seen[seen.length - 1]).to.equal('Draft');
+
+      succeeding.resolve();
+      await second;
+      expect(store.getState().likes).to.equal(11);
+      expect(store.getOptimisticUpdateCount()).to.equal(0);
+    });
+
+    it('should reject when the confirming commit is refused', async () => {
+      store.setSchema({
+        type: 'object',
+        properties: { count: { type: 'number' } },
+      });
+      store.setErrorHandler(() => {});
+
+      let error;
+      try {
+        await store.optimistic({ count: 'many' }, async () => 'saved');
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error.message).to.match(/rejected when committed/);
+      expect(error.result).to.equal('saved');
+      expect(store.getState()).to.deep.equal({});
+      expect(store.getOptimisticUpdateCount()).to.equal(0);
+    });
+
+    it('should hand middleware the committed state as prevState', async () => {
+      await store.setState({ count: 1 });
+      store.computed('double', state => state.count * 2);
+      const calls = [];
+      store.applyMiddleware(
+        (context, next) => {
+          calls.push([context.prevState.count, context.prevState.double]);
+          return next();
+        },
+        { pipeline: true, selective: true, keys: ['count'] }
+      );
+
+      await store.optimistic({ count: 2 }, async () => 'ok');
+
+      expect(calls).to.deep.equal([[1, 2]]);
+      expect(store.getCommittedState()).to.deep.equal({ count: 2, double: 4 });
+    });
+
+    it('should expose optimistic values to computed properties and events', async () => {
+      await store.setState({ items: ['a'] });
+      store.computed('count', state => state.items.length);
+      const changes = [];
+      store.on('items', value => changes.push(value));
+      const request = deferred();
+
+      const pending = store.optimistic(
+        { items: ['a', 'b'] },
+        () => request.promise
+      );
+      expect(store.getState().count).to.equal(2);
+      expect(changes).to.deep.equal([['a', 'b']]);
+
+      request.reject(new Error('offline'));
+      await pending.catch(() => {});
+      expect(store.getState().count).to.equal(1);
+      expect(changes).to.deep.equal([['a', 'b'], ['a']]);
+    });
+  });
+
+  describe('Transactions', () => {
+    it('should commit transaction updates with one notification and undo entry', async () => {
+      let callCount = 0;
+      await store.setState({ count: 1, name: 'test' });
+      store.subscribe(() => callCount++);
+
+      const result = await store.transaction(async tx => {
+        tx.mergeState({ count: 2 });
+        await new Promise(resolve => setTimeout(resolve, 5));
+        tx.patchState({ name: 'updated' });
+        tx.setState({ ...tx.getState(), extra: true });
+      });
+
+      expect(result).to.be.true;
+      expect(callCount).to.equal(1);
+      expect(store.getState()).to.deep.equal({
+        count: 2,
+        name: 'updated',
+        extra: true,
+      });
+
+      store.undo();
+      expect(store.getState()).to.deep.equal({ count: 1, name: 'test' });
+    });
+
+    it('should keep updates committed while a transaction awaits', async () => {
+      await store.setState({ a: 0, b: 0 });
+
+      const pending = store.transaction(async tx => {
+        tx.mergeState({ a: 1 });
+        await new Promise(resolve => setTimeout(resolve, 5));
+      });
+      await store.mergeState({ b: 1 });
+
+      expect(await pending).to.be.true;
+      expect(store.getState()).to.deep.equal({ a: 1, b: 1 });
+    });
+
+    it('should hide transaction updates until commit', async () => {
+      await store.setState({ count: 1 });
+
+      await store.transaction(tx => {
+        tx.mergeState({ count: 2 });
+        expect(store.getState()).to.deep.equal({ count: 1 });
+        expect(tx.getState()).to.deep.equal({ count: 2 });
+      });
+
+      expect(store.getState()).to.deep.equal({ count: 2 });
+    });
+
+    it('should roll back when the transaction throws', async () => {
+      let callCount = 0;
+      store.setErrorHandler(() => {});
+      await store.setState({ count: 1 });
+      store.subscribe(() => callCount++);
+
+      const result = await store.transaction(tx => {
+        tx.mergeState({ count: 2 });
+        throw new Error('Failed halfway');
+      });
+
+      expect(result).to.be.false;
+      expect(callCount).to.equal(0);
+      expect(store.getState()).to.deep.equal({ count: 1 });
+      expect(store.getUndoStackSize()).to.equal(1);
+    });
+
+    it('should roll back when a middleware rejects the commit', async () => {
+      await store.setState({ count: 1 });
+      store.applyMiddleware(
+        (context, next) => {
+          if (context.nextState.count > 10) {
+            context.cancel();
+            return;
+          }
+          return next();
+        },
+        { pipeline: true }
+      );
+
+      const result = await store.transaction(tx => {
+        tx.mergeState({ count: 5 });
+        tx.mergeState({ count: 50 });
+      });
+
+      expect(result).to.be.false;
+      expect(store.getState()).to.deep.equal({ count: 1 });
+    });
+  });
+
+  describe('Computed Properties', () => {
+    it('should expose computed values through getState', async () => {
+      await store.setState({ items: [{ price: 2 }, { price: 3 }] });
+      store.computed('cartTotal', state =>
+        state.items.reduce((sum, item) => sum + item.price, 0)
+      );
+
+      expect(store.getState().cartTotal).to.equal(5);
+      await store.mergeState({ items: [{ price: 10 }] });
+      expect(store.getState().cartTotal).to.equal(10);
+    });
+
+    it('should only recompute when tracked keys change', async () => {
+      let computeCount = 0;
+      await store.setState({ items: [1, 2], filter: 'all' });
+      store.computed('itemCount', state => {
+        computeCount++;
+        return state.items.length;
+      });
+
+      store.getState();
+      await store.mergeState({ filter: 'done' });
+      store.getState();
+      expect(computeCount).to.equal(1);
+
+      await store.mergeState({ items: [1, 2, 3] });
+      expect(store.getState().itemCount).to.equal(3);
+      expect(computeCount).to.equal(2);
+    });
+
+    it('should track dependencies through other computed properties', async () => {
+      await store.setState({ price: 10, quantity: 2 });
+      store.computed('subtotal', state => state.price * state.quantity);
+      store.computed('total', state => state.subtotal * 1.5);
+
+      await store.mergeState({ quantity: 4 });
+      expect(store.getState().total).to.equal(60);
+    });
+
+    it('should notify event listeners when computed values change', async () => {
+      const values = [];
+      await store.setState({ items: [1] });
+      store.computed('itemCount', state => state.items.length);
+      store.on('itemCount', (value, oldValue) =>
+        values.push([value, oldValue])
+      );
+
+      await store.mergeState({ other: true });
+      await store.mergeState({ items: [1, 2] });
+
+      expect(values).to.deep.equal([[2, 1]]);
+    });
+
+    it('should keep computed values out of stored state and history', async () => {
+      store.computed('double', state => (state.count || 0) * 2);
+      await store.setState({ count: 1 });
+      await store.setState({ ...store.getState(), count: 2 });
+
+      expect(store.state).to.deep.equal({ count: 2 });
+      store.undo();
+      expect(store.getState()).to.deep.equal({ count: 1, double: 2 });
+    });
+
+    it('should remove computed properties', async () => {
+      const remove = store.computed('double', state => state.count * 2);
+      remove();
+      await store.setState({ count: 1 });
+      expect(store.getState()).to.deep.equal({ count: 1 });
+    });
+  });
+
+  describe('Schema Validation', () => {
+    const schema = {
+      type: 'object',
+      required: ['count'],
+      properties: {
+        count: { type: 'integer', minimum: 0 },
+        status: { enum: ['idle', 'loading'] },
+        user: {
+          type: 'object',
+          required: ['name'],
+          properties: { name: { type: 'string', minLength: 1 } },
+        },
+        tags: { type: 'array', items: { type: 'string' } },
+      },
+    };
+
+    it('should apply updates that match the schema', async () => {
+      const schemaStore = new StateManager({ count: 0 }, { schema });
+      const result = await schemaStore.setState({
+        count: 1,
+        status: 'idle',
+        tags: ['a'],
+      });
+
+      expect(result).to.be.true;
+      expect(schemaStore.getState().count).to.equal(1);
+    });
+
+    it('should reject invalid updates with the failing paths', async () => {
+      let error = null;
+      const schemaStore = new StateManager({ count: 0 }, { schema });
+      schemaStore.setErrorHandler(err => (error = err));
+
+      const result = await schemaStore.mergeState({
+        count: -1,
+        user: { name: '' },
+        tags: ['a', 2],
+      });
+
+      expect(result).to.be.false;
+      expect(schemaStore.getState()).to.deep.equal({ count: 0 });
+      expect(error).to.be.instanceOf(StateValidationError);
+      expect(error.errors.map(({ path }) => path)).to.deep.equal([
+        'count',
+        'user.name',
+        'tags.1',
+      ]);
+    });
+
+    it('should validate patchState and missing required keys', async () => {
+      const errors = [];
+      store.setSchema(schema);
+      store.setErrorHandler(err => errors.push(...err.errors));
+
+      await store.patchState({ status: 'done' });
+
+      expect(errors.map(({ path, keyword }) => [path, keyword])).to.deep.equal([
+        ['count', 'required'],
+        ['status', 'enum'],
+      ]);
+    });
+  });
+
+  describe('Deep State Comparison', () => {
+    it('should enable deep state comparison', async () => {
+      store.enableDeepStateComparison();
+      await store.setState({ nested: { value: 1 } });
+
+      const state = store.getState();
+      state.nested.value = 2;
+
+      expect(store.getState().nested.value).to.equal(1);
+    });
+
+    it('should disable deep state comparison', async () => {
+      store.disableDeepStateComparison();
+      await store.setState({ nested: { value: 1 } });
+
+      const state = store.getState();
+      state.nested.value = 2;
+
+      expect(store.getState().nested.value).to.equal(2);
+    });
+  });
+
+  describe('Rich Types', () => {
+    const richState = () => ({
+      createdAt: new Date('2026-01-02T03:04:05.678Z'),
+      tags: new Set(['a', 'b']),
+      lookup: new Map([
+        ['x', { count: 1 }],
+        [2, [1, 2]],
+      ]),
+      big: 12345678901234567890n,
+      pattern: /ab+c/gi,
+      missing: undefined,
+      infinite: -Infinity,
+    });
+
+    it('should round-trip rich types through serialize', () => {
+      const state = richState();
+      const restored = deserialize(serialize(state));
+
+      expect(restored.createdAt).to.be.instanceOf(Date);
+      expect(restored.tags).to.be.instanceOf(Set);
+      expect(restored.lookup.get(2)).to.deep.equal([1, 2]);
+      expect(restored.big).to.equal(12345678901234567890n);
+      expect(restored.pattern.flags).to.equal('gi');
+      expect(restored).to.have.property('missing', undefined);
+      expect(restored.infinite).to.equal(-Infinity);
+      expect(restored).to.deep.equal(state);
+    });
+
+    it('should serialize circular references and escape $type keys', () => {
+      const state = { node: { $type: 'Ref', value: 0 } };
+      state.node.parent = state;
+      const restored = deserialize(serialize(state));
+
+      expect(restored.node.parent).to.equal(restored);
+      expect(restored.node.$type).to.equal('Ref');
+    });
+
+    it('should revive registered custom types', () => {
+      class Money {
+        constructor(cents) {
+          this.cents = cents;
+        }
+      }
+      registerType('Money', {
+        test: value => value instanceof Money,
+        serialize: value => value.cents,
+        deserialize: cents => new Money(cents),
+      });
+
+      const restored = deserialize(serialize({ price: new Money(250) }));
+      expect(restored.price).to.be.instanceOf(Money);
+      expect(restored.price.cents).to.equal(250);
+
+      const copy = cloneDeep({ price: new Money(100) });
+      expect(copy.price).to.be.instanceOf(Money);
+    });
+
+    it('should deep clone rich types in deep comparison mode', async () => {
+      store.enableDeepStateComparison();
+      const state = richState();
+      await store.setState(state);
+
+      const snapshot = store.getState();
+      expect(snapshot.createdAt).to.be.instanceOf(Date);
+      expect(snapshot.lookup).to.not.equal(state.lookup);
+      expect(snapshot).to.deep.equal(state);
+    });
+
+    it('should accept circular state and undo it', async () => {
+      const state = { name: 'graph' };
+      state.self = state;
+
+      expect(await store.setState(state)).to.be.true;
+      expect(store.getState().self).to.equal(state);
+
+      await store.setState({ name: 'plain' });
+      store.undo();
+      expect(store.getState().name).to.equal('graph');
+    });
+
+    it('should persist rich types to storage', async () => {
+      const storage = new MemoryStorageAdapter();
+      const first = new StateManager({}, { storage, storageKey: 'rich' });
+      await first.setState(richState());
+
+      const second = new StateManager({}, { storage, storageKey: 'rich' });
+      expect(second.getState()).to.deep.equal(richState());
+    });
+
+    it('should compare rich types structurally', async () => {
+      await store.setState({ at: new Date(1), ids: new Set([1]) });
+      const calls = [];
+      store.on('at', value => calls.push(value));
+      store.on('ids', value => calls.push(value));
+
+      await store.setState({ at: new Date(1), ids: new Set([1]) });
+      expect(calls).to.have.lengthOf(0);
+
+      await store.setState({ at: new Date(2), ids: new Set([1, 2]) });
+      expect(calls).to.have.lengthOf(2);
+    });
+  });
+
+  describe('CRDT Mode', () => {
+    const createReplica = (replicaId, initialState = {}) =>
+      new StateManager(initialState, {
+        storage: null,
+        crdt: { replicaId, types: { tags: 'set', todos: 'sequence' } },
+      });
+
+    const exchange = async (first, second) => {
+      const fromFirst = first.exportOperations();
+      const fromSecond = second.exportOperations();
+      await first.importOperations(fromSecond.reverse());
+      await second.importOperations(fromFirst.reverse());
+    };
+
+    it('should keep concurrent edits to different fields', async () => {
+      const initialState = { user: { name: 'Ada', email: 'ada@example.com' } };
+      const first = createReplica('a', initialState);
+      const second = createReplica('b', initialState);
+
+      await first.setState({
+        user: { name: 'Ada L.', email: 'ada@example.com' },
+      });
+      await second.setState({
+        user: { name: 'Ada', email: 'ada@lovelace.dev' },
+        theme: 'dark',
+      });
+      await exchange(first, second);
+
+      expect(first.getState()).to.deep.equal({
+        user: { name: 'Ada L.', email: 'ada@lovelace.dev' },
+        theme: 'dark',
+      });
+      expect(second.getState()).to.deep.equal(first.getState());
+      expect(first.getHistory()).to.have.lengthOf(1);
+    });
+
+    it('should resolve concurrent writes to one field deterministically', async () => {
+      const first = createReplica('a', { count: 0 });
+      const second = createReplica('b', { count: 0 });
+
+      await first.setState({ count: 1 });
+      await second.setState({ count: 2 });
+      await exchange(first, second);
+
+      expect(first.getState().count).to.equal(2);
+      expect(second.getState().count).to.equal(2);
+
+      await first.mergeState({ count: 3 });
+      await second.importOperations(first.exportOperations());
+      expect(second.getState().count).to.equal(3);
+    });
+
+    it('should let a concurrent add win over a remove in sets', async () => {
+      const initialState = { tags: new Set(['draft']) };
+      const first = createReplica('a', initialState);
+      const second = createReplica('b', initialState);
+
+      await first.setState({ tags: new Set() });
+      await second.setState({ tags: new Set(['draft', 'urgent']) });
+      await second.setState({ tags: new Set(['urgent']) });
+      await second.setState({ tags: new Set(['urgent', 'draft']) });
+      await exchange(first, second);
+
+      expect(first.getState().tags).to.deep.equal(new Set(['draft', 'urgent']));
+      expect(second.getState().tags).to.deep.equal(first.getState().tags);
+    });
+
+    it('should keep arrays for set paths that hold arrays', async () => {
+      const first = createReplica('a', { tags: ['draft'] });
+      const second = createReplica('b', { tags: ['draft'] });
+
+      await first.setState({ tags: ['draft', 'urgent'] });
+      await second.setState({ tags: [] });
+      await exchange(first, second);
+
+      expect(first.getState().tags).to.deep.equal(['urgent']);
+      expect(second.getState().tags).to.deep.equal(['urgent']);
+    });
+
+    it('should run imported operations through middleware', async () => {
+      const first = createReplica('a', { count: 0 });
+      const second = createReplica('b', { count: 0 });
+      const actions = [];
+      second.applyMiddleware(
+        async (context, next) => {
+          actions.push(context.action);
+          if (context.nextState.count > 5) {
+            context.cancel('too large');
+          }
+          return next();
+        },
+        { pipeline: true }
+      );
+
+      await first.setState({ count: 1 });
+      await second.importOperations(first.exportOperations());
+      expect(second.getState()).to.deep.equal({ count: 1 });
+
+      await first.setState({ count: 10 });
+      await second.importOperations(first.exportOperations());
+      expect(actions).to.deep.equal(['crdt', 'crdt']);
+      expect(second.getState()).to.deep.equal({ count: 1 });
+    });
+
+    it('should merge concurrent sequence edits in any order', async () => {
+      const initialState = { todos: ['write', 'test'] };
+      const first = createReplica('a', initialState);
+      const second = createReplica('b', initialState);
+      const third = createReplica('c', initialState);
+
+      await first.setState({ todos: ['plan', 'write', 'test'] });
+      await first.setState({ todos: ['plan', 'design', 'write', 'test'] });
+      await second.setState({ todos: ['write', 'review', 'test', 'ship'] });
+
+      const operations = [
+        ...first.exportOperations(),
+        ...second.exportOperations(),
+      ];
+      await first.importOperations(operations);
+      await second.importOperations(operations);
+      await third.importOperations([...operations].reverse());
+
+      const expected = ['plan', 'design', 'write', 'review', 'test', 'ship'];
+      expect(first.getState().todos).to.deep.equal(expected);
+      expect(second.getState().todos).to.deep.equal(expected);
+      expect(third.getState().todos).to.deep.equal(expected);
+
+      await third.setState({ todos: ['plan', 'write', 'review', 'ship'] });
+      await first.importOperations(third.exportOperations());
+      expect(first.getState().todos).to.deep.equal([
+        'plan',
+        'write',
+        'review',
+        'ship',
+      ]);
+    });
+
+    it('should export pending operations once and ignore duplicates', async () => {
+      const first = createReplica('a');
+      const second = createReplica('b');
+
+      await first.setState({ count: 1, removed: true });
+      await first.setState({ count: 1 });
+      const operations = first.exportOperations();
+
+      expect(operations.map(operation => operation.op)).to.deep.equal([
+        'set',
+        'set',
+        'delete',
+      ]);
+      expect(first.exportOperations()).to.deep.equal([]);
+      expect(first.exportOperations({ all: true })).to.have.lengthOf(3);
+
+      expect(await second.importOperations(operations)).to.equal(3);
+      expect(await second.importOperations(operations)).to.equal(0);
+      expect(second.getState()).to.deep.equal({ count: 1 });
+      expect(second.exportOperations()).to.deep.equal([]);
+    });
+
+    it('should require CRDT mode for operation exchange', () => {
+      expect(() => store.exportOperations()).to.throw(/CRDT mode/);
+    });
+  });
+
+  describe('Cross-Tab Sync', () => {
+    const settle = () => new Promise(resolve => setTimeout(resolve, 10));
+
+    const createHub = () => {
+      const channels = new Set();
+      const hub = {
+        messages: [],
+        factory: name => {
+          const channel = {
+            name,
+            onmessage: null,
+            postMessage(message) {
+              hub.messages.push(message);
+              const data = JSON.parse(JSON.stringify(message));
+              channels.forEach(other => {
+                if (other !== channel && other.name === name) {
+                  setTimeout(
+                    () => other.onmessage && other.onmessage({ data })
+                  );
+                }
+              });
+            },
+            close() {
+              channels.delete(channel);
+            },
+          };
+          channels.add(channel);
+          return channel;
+        },
+      };
+      return hub;
+    };
+
+    const createTab = (hub, options = {}) =>
+      new StateManager(
+        { count: 0 },
+        {
+          storage: null,
+          sync: { name: 'app', channelFactory: hub.factory, ...options },
+        }
+      );
+
+    it('should pass updates between instances without echoing them', async () => {
+      const hub = createHub();
+      const first = createTab(hub);
+      const second = createTab(hub);
+      await settle();
+
+      await first.setState({ count: 1, at: new Date(5) });
+      await settle();
+
+      expect(second.getState()).to.deep.equal({ count: 1, at: new Date(5) });
+      expect(second.getHistory()).to.have.lengthOf(0);
+      expect(second.tabSync).to.be.an.instanceOf(TabSync);
+      expect(hub.messages.filter(m => m.type === 'update')).to.have.lengthOf(1);
+
+      await second.mergeState({ count: 2 });
+      await settle();
+      expect(first.getState().count).to.equal(2);
+
+      await first.close();
+      await second.close();
+    });
+
+    it('should converge on concurrent updates', async () => {
+      const hub = createHub();
+      const first = createTab(hub);
+      const second = createTab(hub);
+
+      await first.setState({ count: 10 });
+      await second.setState({ count: 20 });
+      await settle();
+
+      expect(first.getState()).to.deep.equal(second.getState());
+      const winner = first.tabSync.id > second.tabSync.id ? 10 : 20;
+      expect(first.getState().count).to.equal(winner);
+
+      await first.setState({ count: 30 });
+      await settle();
+      expect(second.getState().count).to.equal(30);
+
+      await first.close();
+      await second.close();
+    });
+
+    it('should bring a new instance up to date', async () => {
+      const hub = createHub();
+      const first = createTab(hub);
+      await first.setState({ count: 7 });
+      await settle();
+
+      const late = createTab(hub);
+      await settle();
+      expect(late.getState()).to.deep.equal({ count: 7 });
+
+      await first.close();
+      await late.close();
+    });
+
+    it('should elect a single leader and fail over on close', async () => {
+      const hub = createHub();
+      const changes = [];
+      const tabs = [1, 2, 3].map(index =>
+        createTab(hub, {
+          leaderElection: true,
+          onLeaderChange: leader => changes.push([index, leader]),
+        })
+      );
+      await settle();
+
+      const leaders = tabs.filter(tab => tab.tabSync.isLeader());
+      expect(leaders).to.have.lengthOf(1);
+
+      await leaders[0].close();
+      await settle();
+      const remaining = tabs.filter(tab => tab !== leaders[0]);
+      expect(remaining.filter(tab => tab.tabSync.isLeader())).to.have.lengthOf(
+        1
+      );
+      expect(changes.length).to.be.greaterThan(0);
+
+      await Promise.all(remaining.map(tab => tab.close()));
+    });
+
+    it('should fall back to storage events', async () => {
+      const items = new Map();
+      const targets = [new EventTarget(), new EventTarget()];
+      const storageFor = owner => ({
+        setItem(key, value) {
+          items.set(key, value);
+          targets
+            .filter(target => target !== owner)
+            .forEach(target => {
+              const event = new Event('storage');
+              event.key = key;
+              event.newValue = value;
+              target.dispatchEvent(event);
+            });
+        },
+      });
+      const [first, second] = targets.map(
+        target =>
+          new StateManager(
+            { count: 0 },
+            {
+              storage: null,
+              sync: {
+                name: 'app',
+                channelFactory: name =>
+                  createStorageEventChannel(name, storageFor(target), target),
+              },
+            }
+          )
+      );
+
+      await first.setState({ count: 3 });
+      await settle();
+      expect(second.getState()).to.deep.equal({ count: 3 });
+
+      await first.close();
+      await second.close();
+    });
+  });
+
+  describe('Remote State', () => {
+    let server;
+    let serverStore;
+    const clients = [];
+
+    const waitFor = async (predicate, timeout = 2000) => {
+      const start = Date.now();
+      while (!predicate()) {
+        if (Date.now() - start > timeout) {
+          throw new Error('Timed out waiting for condition');
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+    };
+
+    const connect = (options = {}) => {
+      const client = new RemoteStateManager(
+        {},
+        { port: server.address().port, reconnect: { delay: 20 }, ...options }
+      );
+      clients.push(client);
+      return client;
+    };
+
+    beforeEach(async () => {
+      serverStore = new StateManager({ count: 0 }, { storage: null });
+      server = new StateServer(serverStore);
+      await server.listen();
+    });
+
+    afterEach(async () => {
+      await Promise.all(clients.splice(0).map(client => client.close()));
+      await server.close();
+    });
+
+    it('should mirror the server state once connected', async () => {
+      const events = [];
+      const client = connect();
+      client.onConnectionStatus(event => events.push(event.status));
+
+      await client.whenReady();
+
+      expect(client.getState()).to.deep.equal({ count: 0 });
+      expect(client.getConnectionStatus()).to.equal('connected');
+      expect(events).to.deep.equal(['connected']);
+      expect(server.getClientCount()).to.equal(1);
+    });
+
+    it('should forward updates and stream diffs to every client', async () => {
+      const first = connect();
+      const second = connect();
+      await Promise.all([first.whenReady(), second.whenReady()]);
+
+      expect(await first.setState({ count: 1, at: new Date(0) })).to.be.true;
+      expect(serverStore.getState()).to.deep.equal({
+        count: 1,
+        at: new Date(0),
+      });
+      expect(first.getState().count).to.equal(1);
+
+      expect(await second.mergeState({ name: 'shared' })).to.be.true;
+      await waitFor(() => first.getState().name === 'shared');
+      expect(first.getState()).to.deep.equal({
+        count: 1,
+        at: new Date(0),
+        name: 'shared',
+      });
+
+      await serverStore.mergeState({ count: 5 });
+      await waitFor(() => second.getState().count === 5);
+    });
+
+    it('should not send pending optimistic updates to new clients', async () => {
+      const request = deferred();
+      const pending = serverStore.optimistic(
+        { count: 99 },
+        () => request.promise
+      );
+
+      const client = connect();
+      await client.whenReady();
+      expect(client.getState()).to.deep.equal({ count: 0 });
+
+      request.reject(new Error('rolled back'));
+      await pending.catch(() => {});
+      expect(serverStore.getState()).to.deep.equal({ count: 0 });
+      expect(client.getState()).to.deep.equal({ count: 0 });
+    });
+
+    it('should forward every inherited update method', async () => {
+      const client = connect();
+      await client.whenReady();
+
+      expect(await client.transaction(tx => tx.mergeState({ count: 2 }))).to.be
+        .true;
+      expect(serverStore.getState()).to.deep.equal({ count: 2 });
+
+      expect(await client.optimistic({ count: 3 }, async () => 'ok')).to.equal(
+        'ok'
+      );
+      expect(serverStore.getState()).to.deep.equal({ count: 3 });
+
+      expect(await client.resetState()).to.be.true;
+      expect(serverStore.getState()).to.deep.equal({});
+      expect(client.getState()).to.deep.equal({});
+
+      let error;
+      try {
+        await client.importOperations([]);
+      } catch (err) {
+        error = err;
+      }
+      expect(error.message).to.match(/server store/);
+    });
+
+    it('should report rejected updates', async () => {
+      serverStore.setSchema({
+        type: 'object',
+        properties: { count: { type: 'number' } },
+      });
+      const errors = [];
+      const client = connect();
+      client.setErrorHandler(err => errors.push(err.message));
+      await client.whenReady();
+
+      expect(await client.setState({ count: 'nope' })).to.be.false;
+      expect(errors[0]).to.match(/rejected/);
+      expect(client.getState()).to.deep.equal({ count: 0 });
+    });
+
+    it('should reject updates whose state is not a plain object', async () => {
+      const errors = [];
+      const client = connect();
+      client.setErrorHandler(err => errors.push(err.message));
+      await client.whenReady();
+
+      expect(await client.request({ type: 'set', state: [1, 2] })).to.be.false;
+      expect(await client.request({ type: 'merge', state: null })).to.be.false;
+      expect(errors).to.have.lengthOf(2);
+      expect(errors[0]).to.match(/plain object/);
+      expect(serverStore.getState()).to.deep.equal({ count: 0 });
+    });
+
+    it('should stop reporting connection status after unsubscribing', async () => {
+      const events = [];
+      const client = connect();
+      const unsubscribe = client.onConnectionStatus(event =>
+        events.push(event.status)
+      );
+      await client.whenReady();
+      unsubscribe();
+      await client.close();
+
+      expect(events).to.deep.equal(['connected']);
+      expect(client.getConnectionStatus()).to.equal('closed');
+    });
+
+    it('should reconnect and resync after the server restarts', async () => {
+      const { port } = server.address();
+      const events = [];
+      const client = connect();
+      await client.whenReady();
+      client.onConnectionStatus(event => events.push(event.status));
+
+      await server.close();
+      await waitFor(() => !client.isConnected());
+      await serverStore.setState({ count: 42 });
+
+      server = new StateServer(serverStore, { port });
+      await server.listen();
+      await waitFor(() => client.isConnected());
+
+      expect(client.getState()).to.deep.equal({ count: 42 });
+      expect(events[0]).to.equal('disconnected');
+      expect(events).to.include('connecting');
+      expect(events[events.length - 1]).to.equal('connected');
+    });
+
+    it('should queue updates made while disconnected', async () => {
+      const { port } = server.address();
+      const client = connect();
+      await client.whenReady();
+
+      await server.close();
+      await waitFor(() => !client.isConnected());
+      const pending = client.mergeState({ offline: true });
+
+      server = new StateServer(serverStore, { port });
+      await server.listen();
+
+      expect(await pending).to.be.true;
+      expect(serverStore.getState().offline).to.be.true;
+      await waitFor(() => client.getState().offline === true);
+    });
+
+    it('should frame messages split across chunks', () => {
+      const messages = [];
+      const read = createMessageReader(
+        message => messages.push(message),
+        err => {
+          throw err;
+        }
+      );
+      const payload = encodeMessage({ type: 'patch', value: new Set([1]) });
+
+      read(payload.slice(0, 5));
+      expect(messages).to.have.lengthOf(0);
+      read(payload.slice(5) + encodeMessage({ type: 'sync' }));
+
+      expect(messages).to.deep.equal([
+        { type: 'patch', value: new Set([1]) },
+        { type: 'sync' },
+      ]);
+    });
+  });
+
+  describe('Storage Adapters', () => {
+    it('should hydrate from and persist to a sync adapter', async () => {
+      const storage = new MemoryStorageAdapter({
+        appState: JSON.stringify({ count: 5 }),
+      });
+      const storageStore = new StateManager(
+        { count: 0 },
+        { storage, storageKey: 'appState' }
+      );
+
+      expect(storageStore.isReady()).to.be.true;
+      expect(storageStore.getState()).to.deep.equal({ count: 5 });
+
+      await storageStore.setState({ count: 6 });
+      expect(JSON.parse(storage.getItem('appState'))).to.deep.equal({
+        count: 6,
+      });
+    });
+
+    it('should hydrate asynchronously and signal readiness', async () => {
+      const memory = new MemoryStorageAdapter({
+        appState: JSON.stringify({ count: 5, name: 'stored' }),
+      });
+      const storage = {
+        getItem: async key => memory.getItem(key),
+        setItem: async (key, value) => memory.setItem(key, value),
+        removeItem: async key => memory.removeItem(key),
+      };
+      const storageStore = new StateManager(
+        { count: 0 },
+        { storage, storageKey: 'appState' }
+      );
+      const notified = [];
+      storageStore.subscribe(state => notified.push(state));
+
+      expect(storageStore.isReady()).to.be.false;
+      await storageStore.mergeState({ count: 1 });
+      await storageStore.whenReady();
+      await storageStore.flushStorage();
+
+      expect(storageStore.isReady()).to.be.true;
+      expect(storageStore.getState()).to.deep.equal({
+        count: 1,
+        name: 'stored',
+      });
+      expect(notified).to.have.lengthOf(2);
+      expect(JSON.parse(memory.getItem('appState'))).to.deep.equal({
+        count: 1,
+        name: 'stored',
+      });
+    });
+
+    it('should opt out of persistence with a null adapter', async () => {
+      const storageStore = new StateManager({}, { storage: null });
+      await storageStore.setState({ count: 1 });
+
+      expect(storageStore.getStorageAdapter()).to.be.null;
+      expect(await storageStore.whenReady()).to.equal(storageStore);
+    });
+
+    it('should persist through the file system adapter', async () => {
+      const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'state-'));
+      const storage = new FileStorageAdapter(directory);
+
+      try {
+        const first = new StateManager({}, { storage, storageKey: 'app' });
+        await first.whenReady();
+        await first.setState({ count: 3 });
+        await first.flushStorage();
+
+        const second = new StateManager({}, { storage, storageKey: 'app' });
+        await second.whenReady();
+        expect(second.getState()).to.deep.equal({ count: 3 });
+      } finally {
+        await fs.rm(directory, { recursive: true, force: true });
+      }
+    });
+
+    it('should write rapid updates to the file system in order', async () => {
+      const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'state-'));
+      const storage = new FileStorageAdapter(directory);
+
+      try {
+        const fileStore = new StateManager({}, { storage, storageKey: 'k' });
+        await fileStore.whenReady();
+        const updates = [];
+        for (let i = 0; i < 50; i++) {
+          updates.push(
+            fileStore.setState({ count: i, label: 'x'.repeat(2000 - i * 40) })
+          );
+        }
+        await Promise.all(updates);
+        await fileStore.flushStorage();
+
+        const content = await fs.readFile(
+          path.join(directory, 'k.json'),
+          'utf-8'
+        );
+        expect(JSON.parse(content)).to.deep.equal({
+          count: 49,
+          label: 'x'.repeat(40),
+        });
+      } finally {
+        await fs.rm(directory, { recursive: true, force: true });
+      }
+    });
+
+    it('should coalesce storage writes in write-behind mode', async () => {
+      const storage = new MemoryStorageAdapter();
+      let writes = 0;
+      const setItem = storage.setItem.bind(storage);
+      storage.setItem = (key, value) => {
+        writes++;
+        return setItem(key, value);
+      };
+      const storageStore = new StateManager(
+        { count: 0 },
+        { storage, storageKey: 'appState', writeBehind: { interval: 50 } }
+      );
+
+      for (let count = 1; count <= 100; count++) {
+        await storageStore.setState({ count });
+      }
+      expect(writes).to.equal(0);
+
+      await storageStore.close();
+      expect(writes).to.equal(1);
+      expect(JSON.parse(storage.getItem('appState'))).to.deep.equal({
+        count: 100,
+      });
+    });
+
+    it('should persist only the selected paths', async () => {
+      const storage = new MemoryStorageAdapter({
+        appState: JSON.stringify({ settings: { theme: 'dark' } }),
+      });
+      const storageStore = new StateManager(
+        { settings: { theme: 'light', fontSize: 12 }, session: {}, ui: {} },
+        {
+          storage,
+          storageKey: 'appState',
+          persist: { include: ['settings', 'session'], exclude: ['session.*'] },
+        }
+      );
+
+      expect(storageStore.getState()).to.deep.equal({
+        settings: { theme: 'dark', fontSize: 12 },
+        session: {},
+        ui: {},
+      });
+
+      await storageStore.setState({
+        settings: { theme: 'dark', fontSize: 14 },
+        session: { token: 'secret' },
+        ui: { open: true },
+      });
+      expect(JSON.parse(storage.getItem('appState'))).to.deep.equal({
+        settings: { theme: 'dark', fontSize: 14 },
+        session: {},
+      });
+    });
+  });
+
+  describe('Error Handling', () => {
+    it('should handle errors gracefully', async () => {
+      let errorCaught = false;
+
+      store.setErrorHandler(_error => {
+        errorCaught = true;
+      });
+
+      const middleware = () => {
+        throw new Error('Middleware error');
+      };
+
+      store.applyMiddleware(middleware);
+      await store.setState({ count: 1 });
+      expect(errorCaught).to.be.true;
+    });
+
+    it('should handle listener errors', async () => {
+      let errorCaught = false;
+
+      store.setErrorHandler(_error => {
+        errorCaught = true;
+      });
+
+      store.subscribe(() => {
+        throw new Error('Listener error');
+      });
+
+      await store.setState({ count: 1 });
+      expect(errorCaught).to.be.true;
+    });
+  });
+
+  describe('Utility Methods', () => {
+    it('should provide state snapshot', async () => {
+      await store.setState({ count: 1 });
+      store.applyMiddleware(() => {
+        // Empty middleware for testing
+      });
+      store.subscribe(() => {});
+
+      const snapshot = store.getStateSnapshot();
+      expect(snapshot.state).to.deep.equal({ count: 1 });
+      expect(snapshot.middlewareCount).to.equal(1);
+      expect(snapshot.listenerCount).to.equal(1);
+    });
+
+    it('should clear history', async () => {
+      await store.setState({ count: 1 });
+      await store.setState({ count: 2 });
+      store.undo();
+
+      store.clearHistory();
+      expect(store.getUndoStackSize()).to.equal(0);
+      expect(store.getRedoStackSize()).to.equal(0);
+    });
+
+    it('should remove all listeners', () => {
+      store.subscribe(() => {
+        // Empty listener for testing
+      });
+      store.subscribe(() => {
+        // Empty listener for testing
+      });
+
+      store.removeAllListeners();
+      expect(store.getListenerCount()).to.equal(0);
     });
 
     it('should remove all event listeners', () => {
@@ -355,11 +2149,18 @@ describe('PersistenceMiddleware', () => {
   });
 
   afterEach(async () => {
+    middleware.stopAutoBackup();
     try {
       await fs.unlink(testFilePath);
     } catch (_error) {
       // Ignore file not found errors
     }
+    const names = await fs.readdir('.');
+    await Promise.all(
+      names
+        .filter(name => name.startsWith(`${testFilePath}.backup`))
+        .map(name => fs.unlink(name))
+    );
   });
 
   describe('Basic Operations', () => {
@@ -373,76 +2174,497 @@ describe('PersistenceMiddleware', () => {
       expect(loadedState).to.deep.equal(testState);
     });
 
-    it('should handle file operations', async () => {
-      const testState = { count: 1 };
-      await middleware.saveState(testState);
+    it('should handle file operations', async () => {
+      const testState = { count: 1 };
+      await middleware.saveState(testState);
+
+      const fileExists = await middleware.fileExists();
+      expect(fileExists).to.be.true;
+
+      const fileInfo = await middleware.getFileInfo();
+      expect(fileInfo.path).to.equal(testFilePath);
+      expect(fileInfo.size).to.be.greaterThan(0);
+    });
+
+    it('should handle file renaming', async () => {
+      const testState = { count: 1 };
+      await middleware.saveState(testState);
+
+      const newPath = 'renamed-state.json';
+      const renameResult = await middleware.renameFile(newPath);
+      expect(renameResult).to.be.true;
+
+      const fileExists = await middleware.fileExists();
+      expect(fileExists).to.be.true;
+
+      try {
+        await fs.unlink(newPath);
+      } catch (_error) {
+        // Ignore file not found errors
+      }
+    });
+
+    it('should handle file deletion', async () => {
+      const testState = { count: 1 };
+      await middleware.saveState(testState);
+
+      const deleteResult = await middleware.deleteFile();
+      expect(deleteResult).to.be.true;
+
+      const fileExists = await middleware.fileExists();
+      expect(fileExists).to.be.false;
+    });
+  });
+
+  describe('Configuration', () => {
+    it('should handle custom options', () => {
+      const customOptions = { spaces: 4, fileType: 'json', version: 2 };
+      const customMiddleware = new PersistenceMiddleware(
+        'custom.json',
+        customOptions
+      );
+
+      expect(customMiddleware.getOptions()).to.deep.equal(customOptions);
+    });
+
+    it('should update options', () => {
+      middleware.setOptions({ spaces: 4 });
+      expect(middleware.getOptions().spaces).to.equal(4);
+    });
+
+    it('should handle versioning', () => {
+      expect(middleware.getVersion()).to.equal(1);
+      middleware.incrementVersion();
+      expect(middleware.getVersion()).to.equal(2);
+    });
+  });
+
+  describe('Serialization Formats', () => {
+    const complexState = {
+      count: 3,
+      ratio: -0.25,
+      name: 'multi word: value',
+      flags: { active: true, archived: false, note: null },
+      tags: ['a', 'true', '42', ''],
+      items: [
+        { id: 1, labels: [] },
+        { id: 2, meta: {} },
+      ],
+    };
+    const formatFiles = [
+      'test-state.yaml',
+      'test-state.ndjson',
+      'test-state.msgpack',
+      'test-state.custom',
+    ];
+
+    afterEach(async () => {
+      await Promise.all(
+        formatFiles.map(file => fs.unlink(file).catch(() => {}))
+      );
+    });
+
+    ['yaml', 'ndjson', 'msgpack'].forEach(fileType => {
+      it(`should round-trip state as ${fileType}`, async () => {
+        middleware.setFileType(fileType);
+
+        expect(await middleware.saveState(complexState)).to.be.true;
+        expect(await middleware.loadState()).to.deep.equal(complexState);
+      });
+    });
+
+    it('should write readable YAML', async () => {
+      middleware.setFileType('yaml');
+      await middleware.saveState({ user: { name: 'John' }, tags: ['a'] });
+
+      expect(await fs.readFile(testFilePath, 'utf-8')).to.equal(
+        '$version: 1\nstate:\n  user:\n    name: John\n  tags:\n    - a\n'
+      );
+    });
+
+    it('should round-trip YAML strings with quotes and infinity words', async () => {
+      middleware.setFileType('yaml');
+      const apostrophe = String.fromCharCode(39);
+      const state = {
+        sizes: {
+          '5" screen': 'model #2',
+          [`it${apostrophe}s`]: `o${apostrophe}clock # 1`,
+        },
+        list: ['say "hi" # now', `${apostrophe}quoted${apostrophe} # note`],
+        words: ['+.inf', '-.inf', '.inf', '+.INF'],
+      };
+
+      expect(await middleware.saveState(state)).to.be.true;
+      expect(await middleware.loadState()).to.deep.equal(state);
+    });
+
+    it('should write one NDJSON line per top-level key', async () => {
+      middleware.setFileType('ndjson');
+      await middleware.saveState({ a: 1, b: { c: 2 } });
+
+      const lines = (await fs.readFile(testFilePath, 'utf-8'))
+        .trim()
+        .split('\n');
+      expect(lines).to.deep.equal([
+        '{"$version":1,"entries":2}',
+        '["a",1]',
+        '["b",{"c":2}]',
+      ]);
+    });
+
+    it('should detect the format from the file extension', async () => {
+      const yamlMiddleware = new PersistenceMiddleware('test-state.yaml', {
+        fileType: 'auto',
+      });
+      const msgpackMiddleware = new PersistenceMiddleware(
+        'test-state.msgpack',
+        {}
+      );
+
+      await yamlMiddleware.saveState(complexState);
+      await msgpackMiddleware.saveState(complexState);
+
+      expect(yamlMiddleware.getFileType()).to.equal('yaml');
+      expect(msgpackMiddleware.getFileType()).to.equal('msgpack');
+      expect(
+        new PersistenceMiddleware('test-state.yml').getFileType()
+      ).to.equal('yaml');
+      expect(new PersistenceMiddleware('test-state').getFileType()).to.equal(
+        'json'
+      );
+      expect(
+        (await fs.readFile('test-state.yaml', 'utf-8')).startsWith('$version')
+      ).to.be.true;
+      expect(await msgpackMiddleware.loadState()).to.deep.equal(complexState);
+    });
+
+    it('should support custom codecs', async () => {
+      PersistenceMiddleware.registerCodec('custom', {
+        extensions: ['.custom'],
+        encode: value => Buffer.from(JSON.stringify(value)).toString('base64'),
+        decode: content =>
+          JSON.parse(Buffer.from(content, 'base64').toString()),
+      });
+      const customMiddleware = new PersistenceMiddleware(
+        'test-state.custom',
+        {}
+      );
+
+      await customMiddleware.saveState({ count: 1 });
+      expect(await customMiddleware.loadState()).to.deep.equal({ count: 1 });
+      expect(PersistenceMiddleware.getCodecNames()).to.include('custom');
+    });
+
+    it('should refuse unknown file types', async () => {
+      middleware.setFileType('unknown');
+      expect(await middleware.saveState({ count: 1 })).to.be.false;
+    });
+  });
+
+  describe('Compression and Encryption', () => {
+    const key = Buffer.alloc(32, 7);
+    const otherKey = Buffer.alloc(32, 9);
+
+    it('should compress state files with gzip and brotli', async () => {
+      const state = { items: new Array(200).fill('repeated value') };
+
+      for (const compression of ['gzip', 'brotli']) {
+        middleware = new PersistenceMiddleware(testFilePath, { compression });
+        await middleware.saveState(state);
+
+        const content = await fs.readFile(testFilePath);
+        expect(content.subarray(0, 4).toString()).to.equal('SMGR');
+        expect(content.length).to.be.lessThan(JSON.stringify(state).length);
+        expect(await middleware.loadState()).to.deep.equal(state);
+      }
+    });
+
+    it('should encrypt with a key and detect a wrong key', async () => {
+      middleware = new PersistenceMiddleware(testFilePath, {
+        encryption: { key },
+      });
+      await middleware.saveState({ token: 'secret-token' });
+
+      const content = await fs.readFile(testFilePath);
+      expect(content.includes('secret-token')).to.be.false;
+      expect(await middleware.loadState()).to.deep.equal({
+        token: 'secret-token',
+      });
+
+      const wrongKey = new PersistenceMiddleware(testFilePath, {
+        encryption: { key: otherKey },
+      });
+      expect(await wrongKey.loadState()).to.be.null;
+      expect(wrongKey.getLastError()).to.be.instanceOf(StateIntegrityError);
+
+      const noKey = new PersistenceMiddleware(testFilePath);
+      expect(await noKey.loadState()).to.be.null;
+      expect(noKey.getLastError()).to.be.instanceOf(StateIntegrityError);
+    });
+
+    it('should detect tampered files', async () => {
+      middleware = new PersistenceMiddleware(testFilePath, {
+        encryption: { passphrase: 'correct horse' },
+        compression: 'gzip',
+      });
+      await middleware.saveState({ count: 1 });
+
+      const content = await fs.readFile(testFilePath);
+      content[content.length - 1] ^= 0xff;
+      await fs.writeFile(testFilePath, content);
+
+      expect(await middleware.loadState()).to.be.null;
+      expect(middleware.getLastError()).to.be.instanceOf(StateIntegrityError);
+    });
+
+    it('should refuse plaintext files when encryption is configured', async () => {
+      await middleware.saveState({ count: 1 });
+      const encrypted = new PersistenceMiddleware(testFilePath, {
+        encryption: { key },
+      });
+      expect(await encrypted.loadState()).to.be.null;
+    });
+
+    it('should re-encrypt the file and its backups when rotating keys', async () => {
+      middleware = new PersistenceMiddleware(testFilePath, {
+        encryption: { key },
+      });
+      await middleware.backupState({ count: 1 });
+      await middleware.saveState({ count: 2 });
+
+      expect(await middleware.rotateKey({ passphrase: 'new secret' })).to.be
+        .true;
+      expect(await middleware.loadState()).to.deep.equal({ count: 2 });
+
+      const oldKey = new PersistenceMiddleware(testFilePath, {
+        encryption: { key },
+      });
+      expect(await oldKey.loadState()).to.be.null;
+
+      const [backup] = await middleware.listBackups();
+      expect(backup.version).to.equal(1);
+      expect(await middleware.restoreFromBackup(backup.id)).to.deep.equal({
+        count: 1,
+      });
+    });
+
+    it('should read the files for key rotation under the lock', async () => {
+      middleware = new PersistenceMiddleware(testFilePath, {
+        encryption: { key },
+        lock: { retryDelay: 5 },
+      });
+      await middleware.saveState({ count: 1 });
+      const writer = new PersistenceMiddleware(testFilePath, {
+        encryption: { key },
+        lock: false,
+      });
+
+      let rotation;
+      await withFileLock(testFilePath, {}, async () => {
+        rotation = middleware.rotateKey({ passphrase: 'new secret' });
+        await new Promise(resolve => setTimeout(resolve, 50));
+        await writer.saveState({ count: 2 });
+      });
+
+      expect(await rotation).to.be.true;
+      expect(await middleware.loadState()).to.deep.equal({ count: 2 });
+    });
+
+    it('should redact encryption secrets from options', async () => {
+      middleware = new PersistenceMiddleware(testFilePath, {
+        encryption: { passphrase: 'correct horse' },
+      });
+      await middleware.saveState({ count: 1 });
+
+      const redacted = { passphrase: '[redacted]' };
+      expect(middleware.getOptions().encryption).to.deep.equal(redacted);
+      expect((await middleware.getFileInfo()).options.encryption).to.deep.equal(
+        redacted
+      );
+      expect(await middleware.loadState()).to.deep.equal({ count: 1 });
+    });
+
+    it('should encrypt journal records', async () => {
+      middleware = new PersistenceMiddleware(testFilePath, {
+        journal: true,
+        encryption: { key },
+      });
+      await middleware.persistState({}, { token: 'first' });
+      await middleware.persistState({}, { token: 'second-secret' });
+
+      const journal = await fs.readFile(middleware.getJournalPath(), 'utf-8');
+      expect(journal.includes('second-secret')).to.be.false;
+
+      const reader = new PersistenceMiddleware(testFilePath, {
+        journal: true,
+        encryption: { key },
+      });
+      expect(await reader.loadState()).to.deep.equal({
+        token: 'second-secret',
+      });
+      await reader.deleteFile();
+    });
+  });
+
+  describe('Journal Persistence', () => {
+    const journalPath = `${testFilePath}.journal`;
+    let journalMiddleware;
+
+    beforeEach(() => {
+      journalMiddleware = new PersistenceMiddleware(testFilePath, {
+        spaces: 2,
+        fileType: 'json',
+        version: 1,
+        journal: { maxEntries: 3 },
+      });
+    });
+
+    afterEach(async () => {
+      await fs.unlink(journalPath).catch(() => {});
+    });
+
+    it('should append diffs to the journal after the first snapshot', async () => {
+      await journalMiddleware.persistState(
+        {},
+        { count: 0, big: 'x'.repeat(50) }
+      );
+      await journalMiddleware.persistState(
+        {},
+        { count: 1, big: 'x'.repeat(50) }
+      );
+      await journalMiddleware.persistState(
+        {},
+        { count: 2, big: 'x'.repeat(50) }
+      );
+
+      const snapshot = JSON.parse(await fs.readFile(testFilePath, 'utf-8'));
+      const records = (await fs.readFile(journalPath, 'utf-8'))
+        .trim()
+        .split('\n')
+        .map(line => JSON.parse(line));
+
+      expect(snapshot.state.count).to.equal(0);
+      expect(records).to.deep.equal([
+        { seq: 1, patches: [{ op: 'set', path: ['count'], value: 1 }] },
+        { seq: 2, patches: [{ op: 'set', path: ['count'], value: 2 }] },
+      ]);
+      expect(journalMiddleware.getJournalInfo().entries).to.equal(2);
+    });
 
-      const fileExists = await middleware.fileExists();
-      expect(fileExists).to.be.true;
+    it('should replay the snapshot and journal on load', async () => {
+      await journalMiddleware.persistState({}, { count: 0, removed: true });
+      await journalMiddleware.persistState({}, { count: 1 });
+      await journalMiddleware.persistState({}, { count: 1, user: { a: 1 } });
 
-      const fileInfo = await middleware.getFileInfo();
-      expect(fileInfo.path).to.equal(testFilePath);
-      expect(fileInfo.size).to.be.greaterThan(0);
+      const reader = new PersistenceMiddleware(testFilePath, {
+        journal: true,
+      });
+      expect(await reader.loadState()).to.deep.equal({
+        count: 1,
+        user: { a: 1 },
+      });
     });
 
-    it('should handle file renaming', async () => {
-      const testState = { count: 1 };
-      await middleware.saveState(testState);
+    it('should compact the journal once it passes the threshold', async () => {
+      for (let count = 0; count <= 3; count++) {
+        await journalMiddleware.persistState({}, { count });
+      }
 
-      const newPath = 'renamed-state.json';
-      const renameResult = await middleware.renameFile(newPath);
-      expect(renameResult).to.be.true;
+      expect(await journalMiddleware.fileExists(journalPath)).to.be.false;
+      expect(journalMiddleware.getJournalInfo().entries).to.equal(0);
+      expect(await journalMiddleware.loadState()).to.deep.equal({ count: 3 });
+    });
 
-      const fileExists = await middleware.fileExists();
-      expect(fileExists).to.be.true;
+    it('should tolerate a torn final record', async () => {
+      await journalMiddleware.persistState({}, { count: 0 });
+      await journalMiddleware.persistState({}, { count: 1 });
+      await fs.appendFile(journalPath, '{"seq":2,"patches":[{"op":"se');
 
-      try {
-        await fs.unlink(newPath);
-      } catch (_error) {
-        // Ignore file not found errors
-      }
+      expect(await journalMiddleware.loadState()).to.deep.equal({ count: 1 });
     });
 
-    it('should handle file deletion', async () => {
-      const testState = { count: 1 };
-      await middleware.saveState(testState);
+    it('should reject a corrupted record before the end', async () => {
+      await journalMiddleware.persistState({}, { count: 0 });
+      await fs.appendFile(journalPath, 'garbage\n{"seq":2,"patches":[]}\n');
 
-      const deleteResult = await middleware.deleteFile();
-      expect(deleteResult).to.be.true;
+      expect(await journalMiddleware.loadState()).to.be.null;
+      expect(journalMiddleware.getLastError().message).to.match(
+        /Corrupted journal record at line 1/
+      );
+    });
 
-      const fileExists = await middleware.fileExists();
-      expect(fileExists).to.be.false;
+    it('should compact on demand', async () => {
+      await journalMiddleware.persistState({}, { count: 0 });
+      await journalMiddleware.persistState({}, { count: 1 });
+
+      expect(await journalMiddleware.compactJournal()).to.be.true;
+      expect(await journalMiddleware.fileExists(journalPath)).to.be.false;
+      const snapshot = JSON.parse(await fs.readFile(testFilePath, 'utf-8'));
+      expect(snapshot.state).to.deep.equal({ count: 1 });
     });
   });
 
-  describe('Configuration', () => {
-    it('should handle custom options', () => {
-      const customOptions = { spaces: 4, fileType: 'json', version: 2 };
-      const customMiddleware = new PersistenceMiddleware(
-        'custom.json',
-        customOptions
-      );
+  describe('Versioning and Migrations', () => {
+    it('should write the version into the saved file', async () => {
+      middleware.incrementVersion();
+      await middleware.saveState({ count: 1 });
 
-      expect(customMiddleware.getOptions()).to.deep.equal(customOptions);
+      const content = JSON.parse(await fs.readFile(testFilePath, 'utf-8'));
+      expect(content).to.deep.equal({ $version: 2, state: { count: 1 } });
     });
 
-    it('should update options', () => {
-      middleware.setOptions({ spaces: 4 });
-      expect(middleware.getOptions().spaces).to.equal(4);
+    it('should run migrations from the stored version to the current one', async () => {
+      await middleware.saveState({ name: 'John Smith' });
+
+      const upgraded = new PersistenceMiddleware(testFilePath, {
+        spaces: 2,
+        fileType: 'json',
+        version: 3,
+        migrations: {
+          2: state => {
+            const [first, last] = state.name.split(' ');
+            return { first, last };
+          },
+        },
+      });
+      upgraded.registerMigration(3, state => ({
+        user: state,
+        schemaVersion: 3,
+      }));
+
+      expect(await upgraded.loadState()).to.deep.equal({
+        user: { first: 'John', last: 'Smith' },
+        schemaVersion: 3,
+      });
     });
 
-    it('should handle versioning', () => {
-      expect(middleware.getVersion()).to.equal(1);
+    it('should treat files without a version envelope as version 1', async () => {
+      await fs.writeFile(testFilePath, JSON.stringify({ count: 1 }));
       middleware.incrementVersion();
-      expect(middleware.getVersion()).to.equal(2);
+      middleware.registerMigration(2, state => ({ total: state.count }));
+
+      expect(await middleware.loadState()).to.deep.equal({ total: 1 });
+    });
+
+    it('should refuse files written by a newer version', async () => {
+      await fs.writeFile(
+        testFilePath,
+        JSON.stringify({ $version: 5, state: { count: 1 } })
+      );
+
+      expect(await middleware.loadState()).to.be.null;
+      const error = middleware.getLastError();
+      expect(error).to.be.instanceOf(StateVersionError);
+      expect(error.message).to.equal(
+        'State file version 5 is newer than the supported version 1'
+      );
     });
   });
 
   describe('Validation', () => {
     it('should validate state objects', async () => {
       const validState = { count: 1 };
-      const invalidState = { circular: null };
-      invalidState.circular = invalidState;
+      const invalidState = { callback: () => {} };
 
       const validResult = await middleware.validateState(validState);
       expect(validResult).to.be.true;
@@ -451,6 +2673,22 @@ describe('PersistenceMiddleware', () => {
       expect(invalidResult).to.be.false;
     });
 
+    it('should validate against a schema when loading', async () => {
+      const schema = {
+        type: 'object',
+        properties: { count: { type: 'number', maximum: 10 } },
+      };
+      await middleware.saveState({ count: 100 });
+      middleware.setSchema(schema);
+
+      const loaded = await middleware.loadStateWithValidation();
+
+      expect(loaded).to.be.null;
+      expect(middleware.getValidationErrors()).to.deep.equal([
+        { path: 'count', keyword: 'maximum', message: 'must be <= 10' },
+      ]);
+    });
+
     it('should save with validation', async () => {
       const testState = { count: 1 };
       const result = await middleware.saveStateWithValidation(testState);
@@ -469,12 +2707,126 @@ describe('PersistenceMiddleware', () => {
       await middleware.deleteFile();
       const restoredState = await middleware.restoreFromBackup();
       expect(restoredState).to.deep.equal(testState);
+    });
 
-      try {
-        await fs.unlink(`${testFilePath}.backup`);
-      } catch (_error) {
-        // Ignore file not found errors
+    it('should keep timestamped generations and list their metadata', async () => {
+      await middleware.backupState({ count: 1 });
+      await middleware.backupState({ count: 2 });
+      await middleware.backupState({ count: 3 });
+
+      const backups = await middleware.listBackups();
+      expect(backups).to.have.lengthOf(3);
+      expect(backups[0].time).to.be.instanceOf(Date);
+      expect(backups[0].time.getTime()).to.be.greaterThan(
+        backups[2].time.getTime()
+      );
+      expect(backups[0].size).to.be.greaterThan(0);
+      expect(backups[0].version).to.equal(1);
+
+      const restored = await middleware.restoreFromBackup(backups[2].id);
+      expect(restored).to.deep.equal({ count: 1 });
+      expect(await middleware.loadState()).to.deep.equal({ count: 1 });
+      expect(await middleware.restoreFromBackup('missing')).to.be.null;
+    });
+
+    it('should prune backups beyond keepLast', async () => {
+      middleware = new PersistenceMiddleware(testFilePath, {
+        backups: { keepLast: 2 },
+      });
+      for (let count = 1; count <= 4; count++) {
+        await middleware.backupState({ count });
       }
+
+      const backups = await middleware.listBackups();
+      expect(backups).to.have.lengthOf(2);
+      expect(await middleware.restoreFromBackup(backups[1].id)).to.deep.equal({
+        count: 3,
+      });
+    });
+
+    it('should keep one backup per day within keepDailyFor', async () => {
+      middleware = new PersistenceMiddleware(testFilePath, {
+        backups: { keepLast: 1, keepDailyFor: 3 },
+      });
+      await middleware.saveState({ count: 0 });
+      const content = await fs.readFile(testFilePath);
+      const day = 24 * 60 * 60 * 1000;
+      const stamp = time => new Date(time).toISOString().replace(/[-:.]/g, '');
+      const now = Date.now();
+      const oldTimes = [now - day, now - day - 1000, now - 10 * day];
+      await Promise.all(
+        oldTimes.map(time =>
+          fs.writeFile(`${testFilePath}.backup.${stamp(time)}`, content)
+        )
+      );
+
+      await middleware.backupState({ count: 1 });
+
+      const ids = (await middleware.listBackups()).map(backup => backup.id);
+      expect(ids).to.have.lengthOf(2);
+      expect(ids).to.include(stamp(now - day));
+      expect(ids).not.to.include(stamp(now - day - 1000));
+      expect(ids).not.to.include(stamp(now - 10 * day));
+    });
+
+    it('should apply keepDailyFor alone without keeping every generation', async () => {
+      middleware = new PersistenceMiddleware(testFilePath, {
+        backups: { keepDailyFor: 3 },
+      });
+      await middleware.saveState({ count: 0 });
+      const content = await fs.readFile(testFilePath);
+      const day = 24 * 60 * 60 * 1000;
+      const stamp = time => new Date(time).toISOString().replace(/[-:.]/g, '');
+      const now = Date.now();
+      const oldTimes = [now - day, now - day - 1000, now - 10 * day];
+      await Promise.all(
+        oldTimes.map(time =>
+          fs.writeFile(`${testFilePath}.backup.${stamp(time)}`, content)
+        )
+      );
+
+      await middleware.backupState({ count: 1 });
+
+      const ids = (await middleware.listBackups()).map(backup => backup.id);
+      expect(ids).to.have.lengthOf(2);
+      expect(ids).to.include(stamp(now - day));
+      expect(ids).not.to.include(stamp(now - 10 * day));
+    });
+
+    it('should back up the previous file before each save', async () => {
+      middleware = new PersistenceMiddleware(testFilePath, {
+        backups: { beforeSave: true },
+      });
+      await middleware.saveState({ count: 1 });
+      expect(await middleware.listBackups()).to.have.lengthOf(0);
+
+      await middleware.saveState({ count: 2 });
+      const backups = await middleware.listBackups();
+      expect(backups).to.have.lengthOf(1);
+      expect(await middleware.restoreFromBackup()).to.deep.equal({ count: 1 });
+    });
+
+    it('should back up on an interval', async () => {
+      middleware = new PersistenceMiddleware(testFilePath, {
+        backups: { interval: 20 },
+      });
+      await middleware.saveState({ count: 1 });
+      await new Promise(resolve => setTimeout(resolve, 70));
+      middleware.stopAutoBackup();
+
+      expect((await middleware.listBackups()).length).to.be.greaterThanOrEqual(
+        1
+      );
+    });
+
+    it('should fall back to the legacy backup file', async () => {
+      await middleware.saveState({ count: 5 });
+      await fs.copyFile(testFilePath, `${testFilePath}.backup`);
+      await middleware.deleteFile();
+
+      const [backup] = await middleware.listBackups();
+      expect(backup.id).to.equal('legacy');
+      expect(await middleware.restoreFromBackup()).to.deep.equal({ count: 5 });
     });
   });
 
@@ -502,6 +2854,543 @@ describe('PersistenceMiddleware', () => {
     });
   });
 
+  describe('Rich Types', () => {
+    const richState = () => ({
+      savedAt: new Date('2026-05-06T07:08:09.000Z'),
+      ids: new Set([1, 2, 3]),
+      users: new Map([['ann', { role: 'admin' }]]),
+      total: 2n ** 70n,
+    });
+
+    it('should round-trip rich types in every file format', async () => {
+      for (const fileType of ['json', 'yaml', 'ndjson', 'msgpack']) {
+        middleware = new PersistenceMiddleware(testFilePath, { fileType });
+        expect(await middleware.saveState(richState())).to.be.true;
+        expect(await middleware.loadState()).to.deep.equal(richState());
+      }
+    });
+
+    it('should round-trip rich types through the journal', async () => {
+      middleware = new PersistenceMiddleware(testFilePath, { journal: true });
+      await middleware.persistState({}, { savedAt: new Date(0) });
+      await middleware.persistState({}, richState());
+
+      const reader = new PersistenceMiddleware(testFilePath, { journal: true });
+      expect(await reader.loadState()).to.deep.equal(richState());
+      await reader.deleteFile();
+    });
+  });
+
+  describe('Selective Persistence', () => {
+    it('should write only included paths without excluded ones', async () => {
+      middleware = new PersistenceMiddleware(testFilePath, {
+        persist: {
+          include: ['settings', 'user.prefs'],
+          exclude: ['settings.*.secret'],
+        },
+      });
+
+      await middleware.saveState({
+        settings: { api: { url: 'x', secret: 'k' }, theme: { secret: 's' } },
+        user: { name: 'Ann', prefs: { lang: 'en' } },
+        ui: { modal: true },
+      });
+
+      expect(await middleware.loadState()).to.deep.equal({
+        settings: { api: { url: 'x' }, theme: {} },
+        user: { prefs: { lang: 'en' } },
+      });
+    });
+
+    it('should filter journal records', async () => {
+      middleware = new PersistenceMiddleware(testFilePath, {
+        journal: true,
+        persist: { exclude: ['session'] },
+      });
+      await middleware.persistState({}, { count: 1, session: 'a' });
+      await middleware.persistState({}, { count: 2, session: 'b' });
+
+      const journal = await fs.readFile(middleware.getJournalPath(), 'utf-8');
+      expect(journal).not.to.include('session');
+      expect(await middleware.loadState()).to.deep.equal({ count: 2 });
+      await middleware.deleteFile();
+    });
+
+    it('should deep-merge persisted paths into the store on hydration', async () => {
+      middleware = new PersistenceMiddleware(testFilePath, {
+        persist: { include: ['settings.theme'] },
+      });
+      await middleware.saveState({ settings: { theme: 'dark' } });
+
+      const attachedStore = new StateManager(
+        { settings: { theme: 'light', fontSize: 12 }, ui: { open: false } },
+        { storage: null }
+      );
+      attachedStore.use(middleware);
+      await attachedStore.whenReady();
+
+      expect(attachedStore.getState()).to.deep.equal({
+        settings: { theme: 'dark', fontSize: 12 },
+        ui: { open: false },
+      });
+    });
+  });
+
+  describe('Store Integration', () => {
+    it('should hydrate the store without touching the undo stack', async () => {
+      await middleware.saveState({ count: 7, name: 'saved' });
+      const attachedStore = new StateManager({ count: 0 }, { storage: null });
+
+      attachedStore.use(middleware);
+      expect(attachedStore.isReady()).to.be.false;
+      await attachedStore.whenReady();
+
+      expect(attachedStore.isReady()).to.be.true;
+      expect(attachedStore.getState()).to.deep.equal({
+        count: 7,
+        name: 'saved',
+      });
+      expect(attachedStore.getHistory()).to.have.lengthOf(0);
+    });
+
+    it('should keep changes made before hydration finishes', async () => {
+      await middleware.saveState({ count: 7, name: 'saved' });
+      const attachedStore = new StateManager({ count: 0 }, { storage: null });
+
+      middleware.attach(attachedStore);
+      await attachedStore.mergeState({ count: 1 });
+      await attachedStore.whenReady();
+      await middleware.flush();
+
+      expect(attachedStore.getState()).to.deep.equal({
+        count: 1,
+        name: 'saved',
+      });
+      expect(await middleware.loadState()).to.deep.equal({
+        count: 1,
+        name: 'saved',
+      });
+    });
+
+    it('should persist every change path', async () => {
+      const attachedStore = new StateManager({ count: 0 }, { storage: null });
+      attachedStore.use(middleware);
+      await attachedStore.whenReady();
+
+      const persisted = async () => {
+        await middleware.flush();
+        return middleware.loadState();
+      };
+
+      await attachedStore.setState({ count: 1 });
+      expect(await persisted()).to.deep.equal({ count: 1 });
+
+      await attachedStore.mergeState({ name: 'merged' });
+      expect(await persisted()).to.deep.equal({ count: 1, name: 'merged' });
+
+      attachedStore.undo();
+      expect(await persisted()).to.deep.equal({ count: 0, name: 'merged' });
+
+      attachedStore.redo();
+      expect(await persisted()).to.deep.equal({ count: 1, name: 'merged' });
+
+      await attachedStore.resetState();
+      expect(await persisted()).to.deep.equal(attachedStore.getState());
+    });
+
+    it('should stop persisting after detaching', async () => {
+      const attachedStore = new StateManager({ count: 0 }, { storage: null });
+      const detach = attachedStore.use(middleware);
+      await attachedStore.whenReady();
+
+      await attachedStore.setState({ count: 1 });
+      await detach();
+      await attachedStore.setState({ count: 2 });
+      await middleware.flush();
+
+      expect(await middleware.loadState()).to.deep.equal({ count: 1 });
+    });
+
+    it('should accept plain function plugins', () => {
+      const attachedStore = new StateManager({}, { storage: null });
+      const calls = [];
+      const detach = attachedStore.use(target => {
+        calls.push(target === attachedStore);
+        return () => calls.push('detached');
+      });
+      detach();
+      expect(calls).to.deep.equal([true, 'detached']);
+    });
+  });
+
+  describe('Watching External Changes', () => {
+    let directory;
+    let filePath;
+    let persistence;
+    let unwatch;
+
+    const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+    const waitFor = async (predicate, timeout = 2000) => {
+      const startedAt = Date.now();
+      while (!predicate()) {
+        if (Date.now() - startedAt > timeout) {
+          throw new Error('Timed out waiting for condition');
+        }
+        await wait(10);
+      }
+    };
+    const writeExternal = state =>
+      fs.writeFile(filePath, JSON.stringify({ $version: 1, state }, null, 2));
+
+    beforeEach(async () => {
+      directory = await fs.mkdtemp(path.join(os.tmpdir(), 'state-watch-'));
+      filePath = path.join(directory, 'state.json');
+      persistence = new PersistenceMiddleware(filePath);
+      unwatch = null;
+    });
+
+    afterEach(async () => {
+      if (unwatch) {
+        unwatch();
+      }
+      await fs.rm(directory, { recursive: true, force: true });
+    });
+
+    const createStore = initialState => {
+      const watchedStore = new StateManager(initialState, { storage: null });
+      watchedStore.applyMiddleware((prev, next) =>
+        persistence.persistState(prev, next)
+      );
+      return watchedStore;
+    };
+
+    it('should load external edits and ignore its own writes', async () => {
+      const watchedStore = createStore({ count: 0 });
+      await watchedStore.setState({ count: 1 });
+      const updates = [];
+      watchedStore.subscribe(state => updates.push(state));
+      unwatch = persistence.watch(watchedStore, { debounce: 20 });
+
+      await watchedStore.setState({ count: 2 });
+      await wait(100);
+      expect(updates).to.have.lengthOf(1);
+
+      await writeExternal({ count: 10, name: 'edited' });
+      const historyLength = watchedStore.getHistory().length;
+      await writeExternal({ count: 10, name: 'edited' });
+      await waitFor(() => watchedStore.getState().count === 10);
+
+      expect(watchedStore.getState()).to.deep.equal({
+        count: 10,
+        name: 'edited',
+      });
+      expect(watchedStore.getHistory()).to.have.lengthOf(historyLength);
+    });
+
+    it('should debounce bursts of external writes', async () => {
+      const watchedStore = createStore({ count: 0 });
+      await watchedStore.setState({ count: 1 });
+      const updates = [];
+      watchedStore.subscribe(state => updates.push(state));
+      unwatch = persistence.watch(watchedStore, { debounce: 60 });
+
+      for (let count = 2; count <= 6; count++) {
+        await writeExternal({ count });
+      }
+      await waitFor(() => watchedStore.getState().count === 6);
+      await wait(100);
+      expect(updates).to.have.lengthOf(1);
+    });
+
+    it('should let memory win when configured', async () => {
+      const watchedStore = new StateManager({ a: 0, b: 0 }, { storage: null });
+      await persistence.saveState({ a: 0, b: 0 });
+      unwatch = persistence.watch(watchedStore, {
+        debounce: 20,
+        conflict: 'memory',
+      });
+
+      await watchedStore.setState({ a: 1, b: 0 });
+      await writeExternal({ a: 2, b: 2 });
+      await waitFor(() => watchedStore.getState().b === 2);
+
+      expect(watchedStore.getState()).to.deep.equal({ a: 1, b: 2 });
+    });
+
+    it('should support a custom merge function', async () => {
+      const watchedStore = createStore({ items: ['local'] });
+      await watchedStore.setState({ items: ['local'] });
+      unwatch = persistence.watch(watchedStore, {
+        debounce: 20,
+        conflict: ({ file, memory }) => ({
+          items: [...memory.items, ...file.items],
+        }),
+      });
+
+      await writeExternal({ items: ['remote'] });
+      await waitFor(() => watchedStore.getState().items.length === 2);
+      expect(watchedStore.getState().items).to.deep.equal(['local', 'remote']);
+    });
+
+    it('should ignore external changes that fail validation', async () => {
+      persistence.setSchema({
+        type: 'object',
+        properties: { count: { type: 'number' } },
+      });
+      const watchedStore = createStore({ count: 0 });
+      await watchedStore.setState({ count: 1 });
+      unwatch = persistence.watch(watchedStore, { debounce: 20 });
+
+      await writeExternal({ count: 'invalid' });
+      await wait(150);
+      expect(watchedStore.getState()).to.deep.equal({ count: 1 });
+
+      await writeExternal({ count: 3 });
+      await waitFor(() => watchedStore.getState().count === 3);
+    });
+
+    it('should stop watching when unwatched', async () => {
+      const watchedStore = createStore({ count: 0 });
+      await watchedStore.setState({ count: 1 });
+      persistence.watch(watchedStore, { debounce: 20 })();
+
+      await writeExternal({ count: 5 });
+      await wait(150);
+      expect(watchedStore.getState()).to.deep.equal({ count: 1 });
+    });
+  });
+
+  describe('Write-Behind Persistence', () => {
+    const runChild = (script, onReady) =>
+      new Promise((resolve, reject) => {
+        const child = spawn(
+          process.execPath,
+          ['--input-type=module', '-e', script],
+          { stdio: ['ignore', 'pipe', 'inherit'] }
+        );
+        child.stdout.on('data', data => {
+          if (onReady && data.toString().includes('ready')) {
+            onReady(child);
+          }
+        });
+        child.on('error', reject);
+        child.on('exit', (code, signal) => resolve({ code, signal }));
+      });
+
+    const childScript = (...extra) =>
+      [
+        `import { PersistenceMiddleware } from ${JSON.stringify(
+          path.resolve('src/index.js')
+        )};`,
+        `const persistence = new PersistenceMiddleware(${JSON.stringify(
+          path.resolve(testFilePath)
+        )}, { writeBehind: { interval: 60000 } });`,
+        'persistence.persistState({}, { count: 41 });',
+        'persistence.persistState({}, { count: 42 });',
+        ...extra,
+      ].join('\n');
+
+    it('should coalesce a burst of updates into one write', async () => {
+      middleware = new PersistenceMiddleware(testFilePath, {
+        writeBehind: { interval: 20 },
+      });
+      let writes = 0;
+      const saveState = middleware.saveState.bind(middleware);
+      middleware.saveState = state => {
+        writes++;
+        return saveState(state);
+      };
+
+      const results = [];
+      for (let count = 1; count <= 1000; count++) {
+        results.push(middleware.persistState({}, { count }));
+      }
+      expect(await Promise.all(results)).to.satisfy(values =>
+        values.every(value => value === true)
+      );
+
+      expect(writes).to.equal(1);
+      expect(await middleware.loadState()).to.deep.equal({ count: 1000 });
+      await middleware.close();
+    });
+
+    it('should never run two writes at the same time', async () => {
+      middleware = new PersistenceMiddleware(testFilePath, {
+        writeBehind: { interval: 5 },
+      });
+      let active = 0;
+      let maxActive = 0;
+      let writes = 0;
+      const saveState = middleware.saveState.bind(middleware);
+      middleware.saveState = async state => {
+        active++;
+        writes++;
+        maxActive = Math.max(maxActive, active);
+        await new Promise(resolve => setTimeout(resolve, 30));
+        const result = await saveState(state);
+        active--;
+        return result;
+      };
+
+      middleware.persistState({}, { count: 1 });
+      await new Promise(resolve => setTimeout(resolve, 15));
+      middleware.persistState({}, { count: 2 });
+      middleware.persistState({}, { count: 3 });
+      await middleware.flush();
+
+      expect(maxActive).to.equal(1);
+      expect(writes).to.equal(2);
+      expect(middleware.hasPendingWrites()).to.be.false;
+      expect(await middleware.loadState()).to.deep.equal({ count: 3 });
+      await middleware.close();
+    });
+
+    it('should flush pending writes before the process exits', async () => {
+      const { code } = await runChild(childScript());
+      expect(code).to.equal(0);
+      expect(await middleware.loadState()).to.deep.equal({ count: 42 });
+    });
+
+    it('should flush on SIGTERM and re-raise the signal', async () => {
+      const { signal } = await runChild(
+        childScript('setInterval(() => {}, 1000);', 'console.log("ready");'),
+        child => child.kill('SIGTERM')
+      );
+      expect(signal).to.equal('SIGTERM');
+      expect(await middleware.loadState()).to.deep.equal({ count: 42 });
+    });
+  });
+
+  describe('Atomic Writes and Locking', () => {
+    afterEach(async () => {
+      await fs.unlink(`${testFilePath}.lock`).catch(() => {});
+    });
+
+    it('should keep the file valid under concurrent saves', async () => {
+      const states = Array.from({ length: 10 }, (_, i) => ({
+        count: i,
+        payload: 'x'.repeat(1000 * i),
+      }));
+      const results = await Promise.all(
+        states.map(state => middleware.saveState(state))
+      );
+
+      expect(results.every(Boolean)).to.be.true;
+      const loaded = await middleware.loadState();
+      expect(states).to.deep.include(loaded);
+
+      const leftovers = (await fs.readdir('.')).filter(
+        name => name.startsWith(`.${testFilePath}`) || name.endsWith('.lock')
+      );
+      expect(leftovers).to.deep.equal([]);
+    });
+
+    it('should take over stale locks', async () => {
+      await fs.writeFile(
+        `${testFilePath}.lock`,
+        JSON.stringify({ pid: 2147483646, token: 'dead' })
+      );
+
+      const result = await middleware.saveState({ count: 1 });
+      expect(result).to.be.true;
+      expect(await middleware.loadState()).to.deep.equal({ count: 1 });
+    });
+
+    it('should fail when the lock is held by a live process', async () => {
+      await fs.writeFile(
+        `${testFilePath}.lock`,
+        JSON.stringify({ pid: process.ppid, token: 'other' })
+      );
+      middleware.setOptions({ lock: { timeout: 50 } });
+
+      const result = await middleware.saveState({ count: 1 });
+      expect(result).to.be.false;
+      expect(await middleware.fileExists()).to.be.false;
+    });
+
+    it('should not take over an old lock held by a live process', async () => {
+      const lockPath = `${testFilePath}.lock`;
+      await fs.writeFile(
+        lockPath,
+        JSON.stringify({ pid: process.ppid, token: 'slow-writer' })
+      );
+      const old = new Date(Date.now() - 60000);
+      await fs.utimes(lockPath, old, old);
+
+      let error;
+      try {
+        await acquireLock(testFilePath, { timeout: 50, staleTimeout: 10 });
+      } catch (err) {
+        error = err;
+      }
+      expect(error.message).to.match(/Timed out/);
+      expect(JSON.parse(await fs.readFile(lockPath, 'utf-8')).token).to.equal(
+        'slow-writer'
+      );
+    });
+
+    it('should take over locks left by an earlier process with the same pid', async () => {
+      await fs.writeFile(
+        `${testFilePath}.lock`,
+        JSON.stringify({ pid: process.pid, token: 'dead' })
+      );
+      middleware.setOptions({ lock: { timeout: 200 } });
+
+      expect(await middleware.saveState({ count: 1 })).to.be.true;
+      expect(await middleware.loadState()).to.deep.equal({ count: 1 });
+    });
+
+    it('should take over old locks without an owner', async () => {
+      const lockPath = `${testFilePath}.lock`;
+      await fs.writeFile(lockPath, '');
+      const old = new Date(Date.now() - 60000);
+      await fs.utimes(lockPath, old, old);
+
+      const release = await acquireLock(testFilePath, { staleTimeout: 10 });
+      expect(JSON.parse(await fs.readFile(lockPath, 'utf-8')).pid).to.equal(
+        process.pid
+      );
+      await release();
+    });
+
+    it('should let one waiter at a time take over a stale lock', async () => {
+      await fs.writeFile(
+        `${testFilePath}.lock`,
+        JSON.stringify({ pid: 2147483646, token: 'dead' })
+      );
+      let active = 0;
+      let maxActive = 0;
+
+      await Promise.all(
+        [1, 2, 3, 4].map(() =>
+          withFileLock(testFilePath, { retryDelay: 1 }, async () => {
+            active++;
+            maxActive = Math.max(maxActive, active);
+            await new Promise(resolve => setTimeout(resolve, 5));
+            active--;
+          })
+        )
+      );
+
+      expect(maxActive).to.equal(1);
+      const leftovers = (await fs.readdir('.')).filter(name =>
+        name.endsWith('.stale')
+      );
+      expect(leftovers).to.deep.equal([]);
+    });
+
+    it('should append and write chunks under the lock', async () => {
+      await middleware.saveState({ a: 1 });
+      const original = await fs.readFile(testFilePath, 'utf-8');
+
+      expect(await middleware.appendToFile('\n')).to.be.true;
+      expect(await middleware.writeFileChunk(' ', 0)).to.be.true;
+      expect(await fs.readFile(testFilePath, 'utf-8')).to.equal(
+        ` ${original}\n`
+      );
+    });
+  });
+
   describe('Error Handling', () => {
     it('should handle save errors gracefully', async () => {
       const invalidPath = '/invalid/path/state.json';